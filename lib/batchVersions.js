@@ -22,6 +22,18 @@ const CACHE = new LRU({
 // be used in the future, at present only this ID is used
 const BATCH_OPTIONS_ID = 'NEXT_OPTIONS';
 
+// defaults for batch versions that were created before the token index size
+// and token batch resolution list length were configurable; these values
+// limit such batch versions to a max of 256 tokens per batch
+const DEFAULT_BATCH_INDEX_SIZE = 1;
+const DEFAULT_BATCH_RESOLUTION_LIST_LENGTH = 256;
+// max size, in bytes, of a token index within a token batch
+const MAX_BATCH_INDEX_SIZE = 2;
+// supported schemes for generating per-token KEKs
+const BATCH_KEK_DERIVATIONS = ['hmac', 'hkdf'];
+// supported token payload formats
+const BATCH_PAYLOAD_FORMATS = ['basic', 'extended'];
+
 bedrock.events.on('bedrock-mongodb.ready', async () => {
   await database.openCollections([
     'tokenization-batchVersion', 'tokenization-batchVersionOptions'
@@ -61,6 +73,7 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
 
 export async function create({id, tokenizerId, options}) {
   assert.string(tokenizerId, 'tokenizerId');
+  _assertOptions({options});
 
   if(!(Number.isInteger(id) && id >= 0)) {
     throw new TypeError('"id" must be a non-negative integer.');
@@ -228,6 +241,7 @@ export async function get({id, tokenizerId, explain = false} = {}) {
 }
 
 export async function setOptions({options, explain = false} = {}) {
+  _assertOptions({options});
   const collection = database.collections['tokenization-batchVersionOptions'];
   const now = Date.now();
   const batchVersionOptions = {
@@ -282,6 +296,7 @@ export async function getOptions({explain = false} = {}) {
 }
 
 export async function insertOptions({options}) {
+  _assertOptions({options});
   const collection = database.collections['tokenization-batchVersionOptions'];
   const now = Date.now();
   const meta = {created: now, updated: now};
@@ -337,6 +352,88 @@ export async function _getLastVersion({tokenizerId, explain = false} = {}) {
   };
 }
 
+/**
+ * Gets the token index options for a batch version, applying the defaults
+ * used by batch versions that do not declare them.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.batchVersion - The batch version.
+ *
+ * @returns {object} An object with `batchIndexSize`, the size in bytes of a
+ *   token index within a batch, and `batchResolutionListLength`, the length
+ *   in bits of the bitstrings used to track the resolution of tokens in a
+ *   batch.
+ */
+export function getIndexOptions({batchVersion} = {}) {
+  const {
+    batchIndexSize = DEFAULT_BATCH_INDEX_SIZE,
+    batchResolutionListLength = DEFAULT_BATCH_RESOLUTION_LIST_LENGTH
+  } = batchVersion.options;
+  return {batchIndexSize, batchResolutionListLength};
+}
+
+/**
+ * Gets the token payload format for a batch version, applying the default
+ * used by batch versions that do not declare it.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.batchVersion - The batch version.
+ *
+ * @returns {string} The token payload format, either `basic` or `extended`;
+ *   only tokens with the `extended` payload format may carry token
+ *   extensions such as a per-token expiration time.
+ */
+export function getPayloadFormat({batchVersion} = {}) {
+  const {batchPayloadFormat = 'basic'} = batchVersion.options;
+  return batchPayloadFormat;
+}
+
+function _assertOptions({options} = {}) {
+  assert.optionalObject(options, 'options');
+  if(!options) {
+    return;
+  }
+  const {
+    batchIndexSize = DEFAULT_BATCH_INDEX_SIZE,
+    batchResolutionListLength = DEFAULT_BATCH_RESOLUTION_LIST_LENGTH,
+    batchTokenCount, batchKekDerivation = 'hmac',
+    batchPayloadFormat = 'basic'
+  } = options;
+  if(!BATCH_KEK_DERIVATIONS.includes(batchKekDerivation)) {
+    throw new TypeError(
+      '"batchKekDerivation" must be one of: ' +
+      `${BATCH_KEK_DERIVATIONS.map(s => `"${s}"`).join(', ')}.`);
+  }
+  if(!BATCH_PAYLOAD_FORMATS.includes(batchPayloadFormat)) {
+    throw new TypeError(
+      '"batchPayloadFormat" must be one of: ' +
+      `${BATCH_PAYLOAD_FORMATS.map(s => `"${s}"`).join(', ')}.`);
+  }
+  if(!(Number.isInteger(batchIndexSize) && batchIndexSize > 0 &&
+    batchIndexSize <= MAX_BATCH_INDEX_SIZE)) {
+    throw new RangeError(
+      '"batchIndexSize" must be an integer from 1 to ' +
+      `${MAX_BATCH_INDEX_SIZE}.`);
+  }
+  // resolution lists are stored as whole bytes, so their length must be a
+  // multiple of 8 to be recovered exactly from storage
+  if(!(Number.isInteger(batchResolutionListLength) &&
+    batchResolutionListLength > 0 && batchResolutionListLength % 8 === 0)) {
+    throw new RangeError(
+      '"batchResolutionListLength" must be a positive multiple of 8.');
+  }
+  if(batchTokenCount === undefined) {
+    return;
+  }
+  const maxTokenCount = Math.min(
+    2 ** (8 * batchIndexSize), batchResolutionListLength);
+  if(!(Number.isInteger(batchTokenCount) && batchTokenCount > 0 &&
+    batchTokenCount <= maxTokenCount)) {
+    throw new RangeError(
+      `"batchTokenCount" must be an integer from 1 to ${maxTokenCount}.`);
+  }
+}
+
 /**
  * An object containing information on the query plan.
  *
@@ -8,6 +8,11 @@ config.tokenization = {};
 // applications that do not need to do so should not enable this index to
 // save significant space
 config.tokenization.ensurePairwiseTokenValueIndex = false;
+// option to control whether pairwise tokens can be looked up by requester
+// alone, which is required to rotate every pairwise token issued to a
+// requester via `tokens.rotatePairwiseTokens()`; enabling this on an existing
+// system builds a new index over every pairwise token
+config.tokenization.ensurePairwiseTokenRequesterIndex = false;
 // option to control whether expired records are automatically removed via
 // built-in MongoDB TTL indexes (true = yes, false = no); if this is set to
 // `false` on a system where it was previously set to `true`, then any instance
@@ -16,16 +21,115 @@ config.tokenization.ensurePairwiseTokenValueIndex = false;
 // in the creation of new TTL indexes
 config.tokenization.autoRemoveExpiredRecords = false;
 config.tokenization.tokenCreationConcurrency = 5;
+// max number of tokens parsed (and token batches updated) concurrently when
+// resolving many tokens at once via `tokens.resolveMany()`
+config.tokenization.tokenResolutionConcurrency = 5;
+// cache for key material used to create token KEKs (key encryption keys);
+// see `batchKekDerivation` below; a shorter `ttl` reduces how long key
+// material remains in memory at the cost of more HMAC API calls
+config.tokenization.kekCache = {
+  max: 1000,
+  // 5 minute ttl
+  ttl: 5 * 60 * 1000
+};
+// resolution events are an audit log of every token resolution attempt made
+// via `tokens.resolve()` or `tokens.resolveMany()`; they never include token
+// batch IDs; a failure to record events does not cause resolution to fail;
+// instead, it is logged and the dropped events are emitted via the
+// `bedrock-tokenization.resolutionEvents.dropped` event so that applications
+// can monitor for, and retain, them
+config.tokenization.resolutionEvents = {
+  enabled: true,
+  // time to live in milliseconds, default to 365 days; expired events are
+  // only automatically removed if `autoRemoveExpiredRecords` is `true`
+  ttl: 365 * 24 * 60 * 60 * 1000
+};
+// the requester registry (see `requesters.js`) tracks which requesters may
+// resolve tokens; if `enforce` is `true`, unknown and suspended requesters
+// cannot resolve tokens and registered requesters' policies are applied
+config.tokenization.requesterRegistry = {
+  enforce: false
+};
+// maps requesters to sector identifiers; requesters mapped to the same sector
+// share pairwise tokens (similar to OIDC sector identifiers), but each token
+// is still bound to the specific requester that resolves it; sector
+// identifiers do not share a namespace with requesters, so a requester with
+// the same ID as a sector identifier does not share its pairwise tokens,
+// e.g., `{'https://a.example': 'https://sector.example'}`
+config.tokenization.requesterSectors = {};
+// time in milliseconds that a pairwise token value that has been replaced via
+// `tokens.rotatePairwiseTokens()` can still be resolved via
+// `tokens.resolvePairwiseToken()` (which reports it as superseded); default
+// to 7 days; set to `0` to stop resolving replaced values immediately
+config.tokenization.pairwiseTokenRotationOverlap = 7 * 24 * 60 * 60 * 1000;
+// how pairwise tokens are generated: `stored` pairwise tokens are random
+// values that are stored when first resolved; `derived` pairwise tokens are
+// derived via the HMAC API of the tokenizer identified by
+// `pairwiseTokenDerivationTokenizerId` from the entity's `internalId` and the
+// requester's pairwise scope (see `requesterSectors`), so nothing is stored,
+// but they cannot be rotated via `tokens.rotatePairwiseTokens()` and they can
+// only be resolved via `tokens.resolvePairwiseToken()` by giving the
+// requester and candidate internal IDs
+config.tokenization.pairwiseTokenMode = 'stored';
+// the ID of the tokenizer used to derive pairwise tokens; required if
+// `pairwiseTokenMode` is `derived`; the tokenizer is pinned (rather than
+// using the current tokenizer) so that derived pairwise tokens do not change
+// when the current tokenizer is rotated; changing it changes every derived
+// pairwise token
+config.tokenization.pairwiseTokenDerivationTokenizerId = null;
+// length of a pairwise token epoch in milliseconds (e.g., 30 days); if set,
+// each pairwise token is scoped to an entity, a requester, and the current
+// epoch (the time since the Unix epoch divided by this length), so a
+// requester cannot correlate pairwise tokens across epochs; `0` disables
+// epochs; changing this value starts a new epoch for every pairwise token
+config.tokenization.pairwiseTokenEpochLength = 0;
+// signed resolution assertions (see the `assertion` option of
+// `tokens.resolve()`); `privateKeyJwk` is the Ed25519 or P-256 private key,
+// as a JWK, used to sign (and verify) assertions and `kid` is an optional
+// key ID to include in each assertion's header
+config.tokenization.resolutionAssertions = {
+  privateKeyJwk: null,
+  kid: null
+};
+// resolution of the key agreement keys of the recipients that documents are
+// encrypted for (see `documents.register()`); `keys` are X25519 public keys,
+// each a JWK (identified by its `kid`), a `JsonWebKey`, `JsonWebKey2020`, or
+// `Multikey` document, or an `X25519KeyAgreementKey2020` document, that are
+// resolved before any resolvers added via `keyResolver.register()`; if
+// `resolveDids` is `true`, `did:` key IDs are then resolved via
+// `@bedrock/did-io`
+config.tokenization.keyResolver = {
+  keys: [],
+  resolveDids: true
+};
 config.tokenization.defaultVersionOptions = {
   // sizes are in bytes
   batchIdSize: 16,
   batchSaltSize: 16,
-  // max tokens in a given batch, must be <= max supported by the token
-  // resolution bitstring length; note that, with the current implementation,
-  // this max configurable value is 256; the implementation must change to use
-  // a larger token batch resolution bitstring if there is a need to allow
-  // larger token batches
+  // size of the index of a token within its batch; a 1 byte index allows
+  // up to 256 tokens per batch, 2 bytes allows up to 65536 tokens per batch
+  batchIndexSize: 1,
+  // length, in bits, of the bitstrings used to track token resolution in
+  // each batch; must be a multiple of 8
+  batchResolutionListLength: 256,
+  // max tokens in a given batch, must be <= max supported by both
+  // `batchIndexSize` and `batchResolutionListLength`; larger batches require
+  // increasing both of those values
   batchTokenCount: 100,
+  // how the per-token KEKs (key encryption keys) are generated: `hmac` calls
+  // the tokenizer's HMAC API for every token (HMAC(batchVersion|salt)), which
+  // can be slow when the HMAC key is in a remote KMS; `hkdf` calls the HMAC
+  // API once per batch version to generate a root key (which is cached in
+  // memory per `kekCache`) and then derives each token's KEK locally via
+  // HKDF using the token's salt
+  batchKekDerivation: 'hmac',
+  // format of the data wrapped in each token's payload: `basic` holds only
+  // the batch ID, token index, and attributes; `extended` also holds token
+  // extensions such as a per-token expiration time (which allows tokens to
+  // live for less time than their batch), at a cost of 2 bytes of space
+  // that would otherwise be available for attributes without growing the
+  // token size
+  batchPayloadFormat: 'basic',
   /* Note: Because tokens are stored in batches (to significantly increase
   storage efficiency), they all expire together. This necessarily means that
   individual tokens do not have the same constant TTL; some in a given batch
@@ -195,6 +195,105 @@ export async function getRegistration({internalId, explain = false} = {}) {
   return record;
 }
 
+/**
+ * Retrieves and decrypts the documents registered for an entity, identified
+ * by either `internalId` or `externalId`. Each stored document is decrypted
+ * using the given key agreement key(s); documents encrypted via a
+ * `recipientChain` are decrypted one layer at a time in the reverse order
+ * that they were encrypted, i.e., starting with the last set of recipients
+ * in the chain, and so each layer requires a key agreement key for one of
+ * its recipients. Documents that were registered with `store: false` are
+ * reported as hash-only.
+ *
+ * Retrieving documents by `internalId` may be extremely slow to execute, so
+ * do not call this function with `internalId` in any hot code paths.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} [options.internalId] - The internal ID of the entity.
+ * @param {string} [options.externalId] - The external ID of the entity; it
+ *   is hashed using the current tokenizer, so documents registered using a
+ *   previous tokenizer (i.e., before the tokenizer was rotated) are not
+ *   found by `externalId`; get them by `internalId` instead.
+ * @param {object} [options.keyAgreementKey] - A key agreement key to use to
+ *   decrypt documents.
+ * @param {Array<object>} [options.keyAgreementKeys] - Key agreement keys to
+ *   use to decrypt documents; use this instead of `keyAgreementKey` if
+ *   documents were encrypted for different recipients or via a
+ *   `recipientChain` with different recipients at each layer.
+ * @param {boolean} [options.explain] - Set to true to return database query
+ *   explain information instead of executing database queries.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with an object with
+ *   `documents`, an array with an object for each registration record with
+ *   the `registration` (without its encrypted document) and either the
+ *   decrypted `document`, `hashOnly: true` if the document was not stored,
+ *   or an `error` if the document could not be decrypted -- or an
+ *   ExplainObject if `explain=true`.
+ */
+export async function getDocuments({
+  internalId, externalId, keyAgreementKey, keyAgreementKeys, explain = false
+} = {}) {
+  assert.optionalString(externalId, 'externalId');
+  assert.optionalObject(keyAgreementKey, 'keyAgreementKey');
+  assert.optionalArrayOfObject(keyAgreementKeys, 'keyAgreementKeys');
+  if((internalId === undefined) === (externalId === undefined)) {
+    throw new TypeError(
+      'Exactly one of "internalId" or "externalId" must be given.');
+  }
+  if(keyAgreementKey && keyAgreementKeys) {
+    throw new TypeError(
+      'Only one of "keyAgreementKey" or "keyAgreementKeys" is allowed.');
+  }
+  if(!(keyAgreementKey || keyAgreementKeys)) {
+    throw new TypeError(
+      '"keyAgreementKey" or "keyAgreementKeys" is required.');
+  }
+  if(keyAgreementKey) {
+    keyAgreementKeys = [keyAgreementKey];
+  }
+
+  let query;
+  if(internalId !== undefined) {
+    // this query will be slow due to *intentionally* not having an index on
+    // `registration.internalId`; see index creation comments above
+    query = {'registration.internalId': internalId};
+  } else {
+    const {hmac} = await tokenizers.getCurrent();
+    const externalIdHash = await _hmacString({hmac, value: externalId});
+    query = {'registration.externalIdHash': externalIdHash};
+  }
+  const projection = {_id: 0};
+  const collection = database.collections['tokenization-registration'];
+
+  if(explain) {
+    const cursor = await collection.find(query, {projection});
+    return cursor.explain('executionStats');
+  }
+
+  // explicitly check `expires` against current time to handle cases where
+  // the database records just haven't been expunged yet
+  const now = new Date();
+  const records = (await collection.find(query, {projection}).toArray())
+    .filter(({registration: {expires}}) => !(now > expires))
+    .sort((a, b) => a.meta.created - b.meta.created);
+
+  const cipher = new Cipher();
+  const results = await Promise.all(records.map(async ({registration}) => {
+    const {jwe, jweLayers, ...rest} = registration;
+    if(!jwe) {
+      return {registration: rest, hashOnly: true};
+    }
+    try {
+      const document = await _decrypt(
+        {cipher, jwe, layers: jweLayers, keyAgreementKeys});
+      return {registration: rest, document};
+    } catch(error) {
+      return {registration: rest, error};
+    }
+  }));
+  return {documents: results};
+}
+
 /**
  * Registers a `document` associated with an entity that is unambiguously
  * identified via `externalId`. Multiple documents associated with the same
@@ -419,16 +518,15 @@ export async function register({
 
     We assume the more common case that there is no such document with the
     given `externalIdHash` and `documentHash` and go ahead and generate an
-    `internalId` for the document and encrypt it. We try to upsert an entity
-    record with that `internalId` and then try to insert the document
-    registration record.
+    `internalId` for the document and encrypt it. We try to insert the
+    document registration record and then upsert an entity record with that
+    `internalId`.
 
     Now, if our assumption is incorrect (and therefore some matching document
-    registration record exists), the entity record with the given `internalId`
-    that was inserted can be safely ignored and allowed to expire. The document
-    registration record will not be inserted due to a duplicate error (which
-    also means that the encrypted data won't be used and will be safely
-    discarded).
+    registration record exists), the document registration record will not be
+    inserted due to a duplicate error (which also means that the encrypted
+    data won't be used and will be safely discarded) and no entity record is
+    upserted.
 
     If this duplicate error occurs, we need to clear any assumption that a
     new registration is being made, clear any `internalId` generated, and loop
@@ -441,39 +539,24 @@ export async function register({
       internalId = await _generateInternalId();
     }
 
-    // 5. Upsert `entity` in parallel and await it after registration
-    //    completes. Note: Resolve the promise to an error if it rejects to
-    //    avoid an unhandled promise rejection later. Check the resolved value
-    //    to see if it is an error when awaiting.
-    const upsertEntityPromise = entities._upsert({
-      internalId, ttl, externalIdHash, minAssuranceForResolution,
-      resolutionMeta
-    }).catch(e => e);
-
-    // 6. Encrypt the document for storage, unless `store: false`.
+    // 5. Encrypt the document for storage, unless `store: false`.
     const jwe = store === false ?
       undefined :
       await _encrypt({document, recipients, recipientChain});
 
-    // 7. Insert the encrypted document.
+    // 6. Insert the encrypted document.
+    let record;
     try {
-      const record = await _insertRegistration({
+      record = await _insertRegistration({
         internalId,
         externalIdHash,
         documentHash,
         tokenizerId: tokenizer.id,
         jwe,
+        jweLayers: recipientChain?.length ?? 1,
         ttl,
         creatorHash
       });
-      // wait for entity to be upserted as well; note: this does not throw a
-      // `DuplicateError` so cannot be confused with one that may be thrown
-      // by `_insertRegistration` in the catch below
-      const result = await upsertEntityPromise;
-      if(result instanceof Error) {
-        throw result;
-      }
-      return record;
     } catch(e) {
       if(e.name !== 'DuplicateError') {
         throw e;
@@ -487,9 +570,208 @@ export async function register({
       internalId = undefined;
       continue;
     }
+
+    // 7. Upsert `entity` only once the registration record exists: an entity
+    //    removed concurrently via `unregister()` is then either recreated here
+    //    or restored by `unregister()` once it finds this registration record,
+    //    and an entity erased concurrently either causes this upsert to fail
+    //    or has this registration record removed by `entities.erase()`.
+    try {
+      await entities._upsert({
+        internalId, ttl, externalIdHash, minAssuranceForResolution,
+        resolutionMeta
+      });
+    } catch(e) {
+      if(e.name === 'NotAllowedError') {
+        // the entity has been erased; the new registration record (and any
+        // stored document) must not be left behind
+        await _removeAll({internalId, externalIdHash});
+      }
+      throw e;
+    }
+    return record;
   }
 }
 
+/**
+ * Unregisters a document that was registered via `register()`, e.g., because
+ * it was registered in error or because consent for its registration has
+ * been withdrawn. The registration record that matches the given
+ * `externalId` and `document` is deleted.
+ *
+ * If the deleted record was the last unexpired registration for its entity,
+ * the entity is left to expire on its own by default. Pass `entityTtl` to
+ * shorten the entity's expiration period (it is never extended) or
+ * `removeEntity: true` to remove the entity immediately; either way, the
+ * same `externalId` will be associated with a new `internalId` if it is
+ * registered again after the entity is gone.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.externalId - The external ID the document was
+ *   registered with.
+ * @param {object} options.document - The registered document.
+ * @param {object} [options.tokenizer] - Optional tokenizer to use.
+ * @param {number} [options.entityTtl] - The number of milliseconds until the
+ *   entity should expire if this was its last registration.
+ * @param {boolean} [options.removeEntity=false] - Set to `true` to remove the
+ *   entity if this was its last registration.
+ * @param {boolean} [options.explain] - Set to true to return database query
+ *   explain information instead of executing database queries.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with an object with the
+ *   deleted `registration` (without its encrypted document) and
+ *   `lastRegistration` set to `true` if the entity has no other unexpired
+ *   registrations -- or an ExplainObject if `explain=true`.
+ */
+export async function unregister({
+  externalId, document, tokenizer, entityTtl, removeEntity = false,
+  explain = false
+} = {}) {
+  if(entityTtl !== undefined) {
+    assertTtl({ttl: entityTtl});
+  }
+  assert.bool(removeEntity, 'removeEntity');
+  if(entityTtl !== undefined && removeEntity) {
+    throw new TypeError(
+      'Only one of "entityTtl" or "removeEntity" is allowed.');
+  }
+
+  const {externalIdHash, documentHash} = await _tokenizeRegistration(
+    {tokenizer, externalId, document});
+  const query = {
+    'registration.externalIdHash': externalIdHash,
+    'registration.documentHash': documentHash
+  };
+  const projection = {_id: 0, 'registration.jwe': 0};
+  const collection = database.collections['tokenization-registration'];
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'findOneAndDelete()' doesn't
+    // return a cursor which allows the use of the explain function.
+    const cursor = await collection.find(query, {projection}).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const {value: record} = await collection.findOneAndDelete(query, {
+    projection,
+    promoteBuffers: true,
+    includeResultMetadata: true
+  });
+  // note: an expired record is still deleted, but it is reported as not found
+  // as it was already considered unregistered
+  const now = new Date();
+  if(!record || now > record.registration.expires) {
+    throw new BedrockError(
+      'Document not found.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+
+  // determine if any other unexpired registrations for the entity remain;
+  // this query uses the `externalIdHash` index
+  const {registration} = record;
+  const {internalId} = registration;
+  const hasRegistrations = async () => (await collection.countDocuments({
+    'registration.externalIdHash': externalIdHash,
+    'registration.internalId': internalId,
+    'registration.expires': {$gt: new Date()}
+  }, {limit: 1})) !== 0;
+  const lastRegistration = !await hasRegistrations();
+  if(lastRegistration) {
+    if(removeEntity) {
+      // a document may be registered for the entity concurrently (after the
+      // above check), so check again after removing the entity and restore
+      // it if a registration record now exists; `register()` upserts the
+      // entity after inserting a new registration record, so it recreates
+      // the entity if it is removed before then
+      const entityRecord = await entities._remove({internalId});
+      if(entityRecord && await hasRegistrations()) {
+        await entities._restore({record: entityRecord});
+      }
+    } else if(entityTtl !== undefined) {
+      await entities._shortenExpires({
+        internalId, expires: getExpires({now: now.getTime(), ttl: entityTtl})
+      });
+    }
+  }
+  return {registration, lastRegistration};
+}
+
+/**
+ * Gets the internal IDs associated with an `externalId` via its registration
+ * records; see `entities.erase()`. Only registration records made using the
+ * current tokenizer are found.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.externalId - The external ID.
+ * @param {boolean} [options.explain] - Set to true to return database query
+ *   explain information instead of executing database queries.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with an object with
+ *   the `externalIdHash` and any matching `internalIds` -- or an
+ *   ExplainObject if `explain=true`.
+ */
+export async function _getInternalIds({externalId, explain = false} = {}) {
+  assert.string(externalId, 'externalId');
+  const {hmac} = await tokenizers.getCurrent();
+  const externalIdHash = await _hmacString({hmac, value: externalId});
+  const query = {'registration.externalIdHash': externalIdHash};
+  const projection = {_id: 0, 'registration.internalId': 1};
+  const collection = database.collections['tokenization-registration'];
+
+  if(explain) {
+    const cursor = await collection.find(query, {projection});
+    return cursor.explain('executionStats');
+  }
+
+  // expired registration records are included so that erasure is complete
+  const records = await collection.find(query, {projection}).toArray();
+  const internalIds = new Map();
+  for(const {registration: {internalId}} of records) {
+    internalIds.set(internalId.toString('base64url'), internalId);
+  }
+  return {externalIdHash, internalIds: [...internalIds.values()]};
+}
+
+/**
+ * Removes every registration record for an entity, e.g., when the entity is
+ * erased via `entities.erase()`. If `externalIdHash` is given, the removal
+ * uses the `externalIdHash` index; otherwise it requires a collection scan
+ * and may be extremely slow to execute.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.internalId - The internal ID of the entity.
+ * @param {Buffer} [options.externalIdHash] - The entity's external ID hash.
+ * @param {boolean} [options.explain] - Set to true to return database query
+ *   explain information instead of executing database queries.
+ *
+ * @returns {Promise<number | ExplainObject>} Resolves with the number of
+ *   removed registration records or an ExplainObject if `explain=true`.
+ */
+export async function _removeAll({
+  internalId, externalIdHash, explain = false
+} = {}) {
+  assert.buffer(internalId, 'internalId');
+  assert.optionalBuffer(externalIdHash, 'externalIdHash');
+  const query = {'registration.internalId': internalId};
+  if(externalIdHash) {
+    query['registration.externalIdHash'] = externalIdHash;
+  }
+  const collection = database.collections['tokenization-registration'];
+
+  if(explain) {
+    // 'find()' is used here because 'deleteMany()' doesn't return a cursor
+    // which allows the use of the explain function.
+    const cursor = await collection.find(query, {projection: {_id: 0}});
+    return cursor.explain('executionStats');
+  }
+
+  const result = await collection.deleteMany(query);
+  return result.deletedCount;
+}
+
 /**
  * Encrypts the document either once (with the given recipients) or recursively
  * in a chain (using the recipientChain).
@@ -520,6 +802,55 @@ export async function _encrypt({document, recipients, recipientChain}) {
   return result;
 }
 
+/**
+ * Decrypts a document that was encrypted via `_encrypt`, unwinding any
+ * recipient chain.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} [options.cipher] - An optional cipher instance to use.
+ * @param {object} options.jwe - The (outermost) JWE to decrypt.
+ * @param {number} [options.layers] - The number of layers of encryption,
+ *   i.e., the length of the recipient chain the document was encrypted for;
+ *   registration records created before this was tracked do not have it, in
+ *   which case layers are decrypted until the result is no longer a JWE.
+ * @param {Array<object>} options.keyAgreementKeys - Key agreement keys to
+ *   use; one must match a recipient of each JWE layer.
+ *
+ * @returns {Promise<object>} The decrypted document.
+ */
+export async function _decrypt({
+  cipher = new Cipher(), jwe, layers, keyAgreementKeys
+}) {
+  // unwind any recipient chain in reverse; the outermost JWE was encrypted
+  // for the last set of recipients in the chain, so decrypt it first
+  let result = jwe;
+  for(let i = 0; layers === undefined ? _isJwe(result) : i < layers; ++i) {
+    // a layer that is not a JWE has no recipients and cannot be decrypted
+    const kids = _isJwe(result) ?
+      result.recipients.map(({header}) => header?.kid) : [];
+    const keyAgreementKey = keyAgreementKeys.find(({id}) => kids.includes(id));
+    if(keyAgreementKey) {
+      result = await cipher.decryptObject({jwe: result, keyAgreementKey});
+    }
+    if(!keyAgreementKey || result === null) {
+      throw new BedrockError(
+        'Document could not be decrypted.',
+        'NotAllowedError', {
+          httpStatusCode: 403,
+          public: true
+        });
+    }
+  }
+  return result;
+}
+
+function _isJwe(value) {
+  return !!value && typeof value === 'object' &&
+    typeof value.protected === 'string' &&
+    typeof value.ciphertext === 'string' &&
+    Array.isArray(value.recipients);
+}
+
 /**
  * Generates a random `internalId`. See `documents.register` for more details.
  *
@@ -623,6 +954,7 @@ async function _insertRegistration({
   documentHash,
   tokenizerId,
   jwe,
+  jweLayers,
   ttl,
   creatorHash
 }) {
@@ -640,6 +972,9 @@ async function _insertRegistration({
   };
   if(jwe) {
     record.registration.jwe = jwe;
+    // track the number of layers of encryption (see `recipientChain`) so
+    // that exactly that many are removed on decryption
+    record.registration.jweLayers = jweLayers;
   }
   if(ttl !== undefined) {
     record.registration.expires = getExpires({now, ttl});
@@ -3,7 +3,10 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import * as documents from './documents.js';
+import * as resolutionEvents from './resolutionEvents.js';
 import {assertTtl, getExpires} from './helpers.js';
+import {removeAll as _removePairwiseTokens} from './tokens/pairwise.js';
 import assert from 'assert-plus';
 
 const {util: {BedrockError}} = bedrock;
@@ -51,6 +54,74 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
   await database.createIndexes(indexes);
 });
 
+/**
+ * Erases an entity, identified by either `internalId` or `externalId`, from
+ * every collection, e.g., to honor a "right to be forgotten" request. Its
+ * registration records (including any stored documents), pairwise tokens,
+ * and resolution events are removed.
+ *
+ * The entity record itself is replaced with a tombstone that keeps only its
+ * `internalId`, `externalIdHash`, and `expires` date; registering a document
+ * for an erased entity's `internalId` fails. Token batches are *not* removed:
+ * they are intentionally not indexed by `internalId` (see `tokens/batches.js`),
+ * so finding them would require a full collection scan. Instead, the tombstone
+ * persists for as long as any of the entity's token batches could (entities
+ * always outlive their token batches) and it causes any outstanding token
+ * for the entity to fail to resolve with the same `NotFoundError` as an
+ * unknown token. Token batches hold no information about the entity other
+ * than its random `internalId`, so they are left to expire on their own.
+ *
+ * When erasing by `externalId`, it is hashed using the current tokenizer;
+ * registration records made using a previous tokenizer are only found when
+ * erasing by `internalId`. When erasing by `internalId`, the `externalIdHash`
+ * stored on the entity record (or its tombstone) is used to remove its
+ * registration records via index; if the entity record has no
+ * `externalIdHash`, the removal requires a collection scan and may be
+ * extremely slow to execute. A `NotFoundError` is thrown if no entity record
+ * exists for `internalId`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} [options.internalId] - The internal ID of the entity.
+ * @param {string} [options.externalId] - The external ID of the entity.
+ *
+ * @returns {Promise<object>} Resolves with a deletion report, an object with
+ *   `entities`, an array with an object for each erased entity (more than
+ *   one entity may be associated with the same `externalId` in rare cases;
+ *   see `documents.js`) with its `internalId`, `entityErased` set to `true`
+ *   if its entity record was replaced with a tombstone, and `removed`, an
+ *   object with the number of removed `registrations`, `pairwiseTokens`, and
+ *   `resolutionEvents`.
+ */
+export async function erase({internalId, externalId} = {}) {
+  assert.optionalBuffer(internalId, 'internalId');
+  assert.optionalString(externalId, 'externalId');
+  if((internalId === undefined) === (externalId === undefined)) {
+    throw new TypeError(
+      'Exactly one of "internalId" or "externalId" must be given.');
+  }
+
+  let internalIds;
+  let externalIdHash;
+  if(internalId !== undefined) {
+    internalIds = [internalId];
+  } else {
+    ({externalIdHash, internalIds} = await documents._getInternalIds(
+      {externalId}));
+    if(internalIds.length === 0) {
+      throw new BedrockError(
+        'Entity not found.',
+        'NotFoundError', {
+          httpStatusCode: 404,
+          public: true
+        });
+    }
+  }
+
+  const reports = await Promise.all(internalIds.map(
+    internalId => _erase({internalId, externalIdHash})));
+  return {entities: reports};
+}
+
 /**
  * Gets an entity record identified by `internalId`.
  *
@@ -83,6 +154,10 @@ export async function get({internalId, explain = false} = {}) {
       record = null;
     }
   }
+  if(record?.entity.erased) {
+    // entity has been erased; only its tombstone remains
+    record = null;
+  }
   if(!record) {
     throw new BedrockError(
       'Entity not found.',
@@ -214,18 +289,26 @@ export async function setMinAssuranceForResolution({
  * entity's `minAssuranceForResolution` only changes if no concurrent process
  * adds a new unpinned token batch.
  *
+ * Optionally, `includePinned` can be passed to also increment the entity's
+ * `allBatchInvalidationCount`, indicating that all token batches, pinned or
+ * unpinned, are about to be invalidated. In this case, the update will also
+ * only be applied if the entity's `allBatchInvalidationCount` has not changed
+ * from its current value.
+ *
  * @param {object} options - Options to use.
  * @param {object} options.entity - The entity.
  * @param {number} [options.minAssuranceForResolution] - Minimum level of
  *   identity assurance required for resolution of tokens that were issued
  *   from an unpinned token batch.
+ * @param {boolean} [options.includePinned=false] - Set to `true` to also
+ *   increment the entity's `allBatchInvalidationCount`.
  * @param {boolean} [options.explain] - An optional explain boolean.
  *
  * @returns {Promise<boolean | ExplainObject>} Resolves with true if update
  *   occurred or an ExplainObject if `explain=true`.
  */
 export async function _incrementBatchInvalidationCount({
-  entity, minAssuranceForResolution, explain = false
+  entity, minAssuranceForResolution, includePinned = false, explain = false
 } = {}) {
   const {internalId, batchInvalidationCount} = entity;
   const query = {
@@ -245,6 +328,13 @@ export async function _incrementBatchInvalidationCount({
     $set['entity.minAssuranceForResolution'] = minAssuranceForResolution;
   }
   const $inc = {'entity.batchInvalidationCount': 1};
+  if(includePinned) {
+    // `allBatchInvalidationCount` is not present on older entity records;
+    // a `null` query value matches a missing field
+    query['entity.allBatchInvalidationCount'] =
+      entity.allBatchInvalidationCount ?? null;
+    $inc['entity.allBatchInvalidationCount'] = 1;
+  }
   const collection = database.collections['tokenization-entity'];
 
   if(explain) {
@@ -267,21 +357,112 @@ export async function _incrementBatchInvalidationCount({
  * @param {Buffer} options.internalId - The internal ID for the entity.
  * @param {boolean} [options.explain] - An optional explain boolean.
  *
- * @returns {Promise<object | ExplainObject>} Resolves with the entity record
- *   or an ExplainObject if `explain=true`.
+ * @returns {Promise<object | ExplainObject>} Resolves with the removed entity
+ *   record (or `null` if none was found) or an ExplainObject if
+ *   `explain=true`.
  */
 export async function _remove({internalId, explain = false} = {}) {
   const collection = database.collections['tokenization-entity'];
   const query = {'entity.internalId': internalId};
 
   if(explain) {
-    // 'find().limit(1)' is used here because 'deleteOne()' doesn't return a
+    // 'find().limit(1)' is used here because 'findOneAndDelete()' doesn't
+    // return a cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const {value: record} = await collection.findOneAndDelete(query, {
+    projection: {_id: 0},
+    promoteBuffers: true,
+    includeResultMetadata: true
+  });
+  return record;
+}
+
+/**
+ * Restores an entity record that was removed via `_remove()`, e.g., because
+ * a document was concurrently registered for the entity. If an entity record
+ * with the same `internalId` has been created since, it is kept instead.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.record - The removed entity record.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` if the entity record was
+ *   restored.
+ */
+export async function _restore({record} = {}) {
+  assert.object(record, 'record');
+  const collection = database.collections['tokenization-entity'];
+  try {
+    await collection.insertOne({...record});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Checks whether the entity identified by `internalId` has been erased via
+ * `erase()`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.internalId - The internal ID for the entity.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` if the entity has been
+ *   erased.
+ */
+export async function _isErased({internalId} = {}) {
+  assert.buffer(internalId, 'internalId');
+  const collection = database.collections['tokenization-entity'];
+  const record = await collection.findOne(
+    {'entity.internalId': internalId},
+    {projection: {_id: 0, 'entity.erased': 1}});
+  return record?.entity.erased === true;
+}
+
+/**
+ * Shortens the expiration period of an entity record identified by
+ * `internalId`; an entity that would expire sooner than `expires` is not
+ * updated.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.internalId - The internal ID for the entity.
+ * @param {Date} options.expires - The new expiration date to use.
+ * @param {boolean} [options.explain] - An optional explain boolean.
+ *
+ * @returns {Promise<boolean | ExplainObject>} Resolves with true if update
+ *   occurred or an ExplainObject if `explain=true`.
+ */
+export async function _shortenExpires({
+  internalId, expires, explain = false
+} = {}) {
+  assert.buffer(internalId, 'internalId');
+  assert.date(expires, 'expires');
+
+  const collection = database.collections['tokenization-entity'];
+  const query = {
+    'entity.internalId': internalId,
+    // only shorten expiration period, do not extend it
+    'entity.expires': {$gt: expires}
+  };
+  const update = {
+    $set: {'meta.updated': Date.now(), 'entity.expires': expires}
+  };
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'updateOne()' doesn't return a
     // cursor which allows the use of the explain function.
     const cursor = await collection.find(query).limit(1);
     return cursor.explain('executionStats');
   }
 
-  await collection.deleteOne(query);
+  const result = await collection.updateOne(query, update);
+  // return `true` if the update occurred
+  return result.modifiedCount !== 0;
 }
 
 /**
@@ -403,7 +584,8 @@ export async function _setOpenTokenBatchId({
  * Upserts a new entity. If the entity already exists, its time to live will be
  * updated if it is later than the existing value, but its
  * `minAssuranceForResolution` will not be changed. To change the entity's
- * `minAssuranceForResolution`, call `setMinAssuranceForResolution`.
+ * `minAssuranceForResolution`, call `setMinAssuranceForResolution`. A
+ * `NotAllowedError` is thrown if the entity has been erased.
  *
  * @param {object} options - Options to use.
  * @param {Buffer} options.internalId - The internal ID for the entity.
@@ -442,6 +624,7 @@ export async function _upsert({
   const entity = {
     internalId,
     batchInvalidationCount: 0,
+    allBatchInvalidationCount: 0,
     openBatch: {},
     // default `minAssuranceForResolution=2`
     minAssuranceForResolution:
@@ -452,7 +635,11 @@ export async function _upsert({
     entity.resolutionMeta = resolutionMeta;
   }
 
-  const query = {'entity.internalId': entity.internalId};
+  // never update (or replace) the tombstone of an erased entity
+  const query = {
+    'entity.internalId': entity.internalId,
+    'entity.erased': {$exists: false}
+  };
   // only update `expires` on update and only if it extends the record TTL
   const $max = {'entity.expires': entity.expires};
   const $set = {'meta.updated': meta.updated};
@@ -460,6 +647,7 @@ export async function _upsert({
   const $setOnInsert = {
     'entity.internalId': entity.internalId,
     'entity.batchInvalidationCount': entity.batchInvalidationCount,
+    'entity.allBatchInvalidationCount': entity.allBatchInvalidationCount,
     'entity.openBatch': {},
     'entity.minAssuranceForResolution': entity.minAssuranceForResolution,
     'meta.created': meta.created
@@ -485,8 +673,27 @@ export async function _upsert({
     return cursor.explain('executionStats');
   }
 
-  // this upsert cannot trigger duplicate error; no try/catch needed
-  const result = await collection.updateOne(query, update, {upsert: true});
+  let result;
+  while(true) {
+    try {
+      result = await collection.updateOne(query, update, {upsert: true});
+      break;
+    } catch(e) {
+      if(!database.isDuplicateError(e)) {
+        throw e;
+      }
+      // a duplicate error means the entity has been erased or, rarely, that
+      // it was concurrently inserted, in which case the upsert is retried
+      if(await _isErased({internalId})) {
+        throw new BedrockError(
+          'Entity has been erased.',
+          'NotAllowedError', {
+            httpStatusCode: 403,
+            public: true
+          }, e);
+      }
+    }
+  }
   if(result.upsertedCount > 0) {
     // return full record when upserted
     return {_id: result.upsertedId, ...record};
@@ -495,6 +702,56 @@ export async function _upsert({
   return result.modifiedCount !== 0;
 }
 
+async function _erase({internalId, externalIdHash}) {
+  // replace the entity record with a tombstone first so that any outstanding
+  // tokens for the entity immediately fail to resolve
+  const collection = database.collections['tokenization-entity'];
+  const query = {'entity.internalId': internalId};
+  const record = await collection.findOne(query, {projection: {_id: 0}});
+  if(!(record || externalIdHash)) {
+    // erasing by `internalId` requires an entity record (or its tombstone)
+    throw new BedrockError(
+      'Entity not found.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  externalIdHash = externalIdHash ?? record.entity.externalIdHash;
+  let entityErased = false;
+  if(record && !record.entity.erased) {
+    // keep `externalIdHash` so that erasing again can still remove any
+    // registration records via index
+    const tombstone = {internalId, erased: true};
+    if(externalIdHash) {
+      tombstone.externalIdHash = externalIdHash;
+    }
+    if(record.entity.expires !== undefined) {
+      tombstone.expires = record.entity.expires;
+    }
+    const result = await collection.updateOne(
+      {...query, 'entity.erased': {$exists: false}},
+      {$set: {'meta.updated': Date.now(), entity: tombstone}});
+    entityErased = result.modifiedCount !== 0;
+  }
+
+  const [registrations, pairwiseTokens, resolutionEventCount] =
+    await Promise.all([
+      documents._removeAll({internalId, externalIdHash}),
+      _removePairwiseTokens({internalId}),
+      resolutionEvents._removeAll({internalId})
+    ]);
+  return {
+    internalId,
+    entityErased,
+    removed: {
+      registrations,
+      pairwiseTokens,
+      resolutionEvents: resolutionEventCount
+    }
+  };
+}
+
 /**
  * Retrieves the total count of entities matching the given query.
  *
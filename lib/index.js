@@ -4,7 +4,14 @@
 import * as batchVersions from './batchVersions.js';
 import * as documents from './documents.js';
 import * as entities from './entities.js';
+import * as keyResolver from './keyResolver.js';
+import * as reencryptionJobs from './reencryptionJobs.js';
+import * as requesters from './requesters.js';
+import * as resolutionEvents from './resolutionEvents.js';
 import * as tokens from './tokens/index.js';
 import './config.js';
 
-export {documents, entities, tokens, batchVersions};
+export {
+  documents, entities, keyResolver, reencryptionJobs, requesters,
+  resolutionEvents, tokens, batchVersions
+};
@@ -1,13 +1,251 @@
 /*!
- * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as base58 from 'base58-universal';
+import * as bedrock from '@bedrock/core';
 import {didIo} from '@bedrock/did-io';
 
+// multicodec header for an X25519 public key (`x25519-pub`)
+const X25519_MULTICODEC = new Uint8Array([0xec, 0x01]);
+const X25519_PUBLIC_KEY_SIZE = 32;
+
+// resolvers added via `register()`, consulted in order
+const REGISTERED_RESOLVERS = [];
+
+bedrock.events.on('bedrock.init', () => {
+  // ensure configured keys are valid at startup
+  const {keys} = bedrock.config.tokenization.keyResolver;
+  if(!Array.isArray(keys)) {
+    throw new TypeError(
+      '"bedrock.config.tokenization.keyResolver.keys" must be an array.');
+  }
+  keys.forEach(key => _toKeyAgreementKey({key}));
+});
+
+/**
+ * Creates the key resolver used to resolve the key agreement keys of the
+ * recipients that documents are encrypted for. Keys are resolved via a chain
+ * of resolvers: keys from `config.tokenization.keyResolver.keys`, then any
+ * resolvers added via `register()`, and then, if
+ * `config.tokenization.keyResolver.resolveDids` is `true`, `did:` key IDs via
+ * `@bedrock/did-io`.
+ *
+ * @returns {Function} The key resolver.
+ */
 export function createKeyResolver() {
+  const {keys, resolveDids} = bedrock.config.tokenization.keyResolver;
+  const resolvers = [];
+  if(keys.length > 0) {
+    resolvers.push(createInlineKeyResolver({keys}));
+  }
+  resolvers.push(...REGISTERED_RESOLVERS);
+  if(resolveDids) {
+    resolvers.push(createDidKeyResolver());
+  }
+  return chain({resolvers});
+}
+
+/**
+ * Chains key resolvers. Each resolver is called in order with `{id}` and must
+ * resolve to the key agreement key for `id` or to `null` if it does not
+ * handle `id`, in which case the next resolver is called; any error thrown by
+ * a resolver is not caught.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<Function>} options.resolvers - The resolvers to chain.
+ *
+ * @returns {Function} The chained key resolver.
+ */
+export function chain({resolvers} = {}) {
+  if(!(Array.isArray(resolvers) &&
+    resolvers.every(r => typeof r === 'function'))) {
+    throw new TypeError('"resolvers" must be an array of functions.');
+  }
   return async function keyResolver({id} = {}) {
+    for(const resolver of resolvers) {
+      const key = await resolver({id});
+      if(key) {
+        return key;
+      }
+    }
+    throw new Error(`Key ID "${id}" not supported in resolver.`);
+  };
+}
+
+/**
+ * Registers a key resolver to be used, after any configured keys and before
+ * resolving `did:` key IDs, when resolving the keys of recipients that
+ * documents are encrypted for, e.g., to resolve keys from a local KMS. See
+ * `chain()` for the resolver interface.
+ *
+ * @param {object} options - Options to use.
+ * @param {Function} options.resolver - The resolver to register.
+ */
+export function register({resolver} = {}) {
+  if(typeof resolver !== 'function') {
+    throw new TypeError('"resolver" must be a function.');
+  }
+  if(!REGISTERED_RESOLVERS.includes(resolver)) {
+    REGISTERED_RESOLVERS.push(resolver);
+  }
+}
+
+/**
+ * Unregisters a key resolver that was registered via `register()`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Function} options.resolver - The resolver to unregister.
+ *
+ * @returns {boolean} `true` if the resolver was unregistered, `false` if it
+ *   was not registered.
+ */
+export function unregister({resolver} = {}) {
+  const index = REGISTERED_RESOLVERS.indexOf(resolver);
+  if(index === -1) {
+    return false;
+  }
+  REGISTERED_RESOLVERS.splice(index, 1);
+  return true;
+}
+
+/**
+ * Creates a key resolver for `did:` key IDs that uses `@bedrock/did-io`.
+ *
+ * @returns {Function} The key resolver.
+ */
+export function createDidKeyResolver() {
+  return async function didKeyResolver({id} = {}) {
     if(!id.startsWith('did:')) {
-      throw new Error(`Key ID "${id}" not supported in resolver.`);
+      return null;
     }
     return didIo.get({did: id});
   };
 }
+
+/**
+ * Creates a key resolver for the given inline key agreement keys. Each key is
+ * an X25519 public key expressed as a JWK (identified by its `kid`), a
+ * `JsonWebKey` or `JsonWebKey2020` document (with `publicKeyJwk`), a
+ * `Multikey` document, or an `X25519KeyAgreementKey2020` document.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<object>} options.keys - The keys.
+ *
+ * @returns {Function} The key resolver.
+ */
+export function createInlineKeyResolver({keys} = {}) {
+  if(!Array.isArray(keys)) {
+    throw new TypeError('"keys" must be an array.');
+  }
+  const keyMap = new Map();
+  for(const key of keys) {
+    const keyAgreementKey = _toKeyAgreementKey({key});
+    keyMap.set(keyAgreementKey.id, keyAgreementKey);
+  }
+  return async function inlineKeyResolver({id} = {}) {
+    return keyMap.get(id) ?? null;
+  };
+}
+
+/**
+ * Creates a key resolver for an in-memory map of key IDs to key agreement
+ * keys (in any form accepted by `createInlineKeyResolver()`), e.g., for
+ * tests. The map is consulted each time a key is resolved, so keys may be
+ * added to or removed from it after the resolver is created. A key is always
+ * resolved with the ID it is mapped from; any `id` (or JWK `kid`) it has of
+ * its own is ignored.
+ *
+ * @param {object} options - Options to use.
+ * @param {Map<string, object>} options.keyMap - The key map.
+ *
+ * @returns {Function} The key resolver.
+ */
+export function createKeyMapResolver({keyMap} = {}) {
+  if(!(keyMap instanceof Map)) {
+    throw new TypeError('"keyMap" must be a Map.');
+  }
+  return async function keyMapResolver({id} = {}) {
+    const key = keyMap.get(id);
+    if(!key) {
+      return null;
+    }
+    // the map key takes precedence over the key's own `id` or `kid`
+    if(key.kty !== undefined) {
+      return _toKeyAgreementKey({key: {...key, kid: id}});
+    }
+    return _toKeyAgreementKey({key: {...key, id}});
+  };
+}
+
+// converts a supported key to the `X25519KeyAgreementKey2020` form used when
+// encrypting documents; only public key material is kept
+function _toKeyAgreementKey({key}) {
+  if(!(key && typeof key === 'object')) {
+    throw new TypeError('Key agreement key must be an object.');
+  }
+  let id;
+  let controller;
+  let publicKeyMultibase;
+  if(key.kty !== undefined) {
+    // bare JWK
+    id = key.kid;
+    publicKeyMultibase = _jwkToMultibase({jwk: key});
+  } else {
+    ({id, controller} = key);
+    if(key.type === 'JsonWebKey' || key.type === 'JsonWebKey2020') {
+      publicKeyMultibase = _jwkToMultibase({jwk: key.publicKeyJwk});
+    } else if(key.type === 'Multikey' ||
+      key.type === 'X25519KeyAgreementKey2020') {
+      ({publicKeyMultibase} = key);
+      _assertX25519Multibase({publicKeyMultibase});
+    } else {
+      throw new TypeError(
+        `Unsupported key agreement key type "${key.type}"; key type must be ` +
+        '"JsonWebKey", "JsonWebKey2020", "Multikey", or ' +
+        '"X25519KeyAgreementKey2020".');
+    }
+  }
+  if(typeof id !== 'string') {
+    throw new TypeError(
+      'Key agreement key must have a string "id" (or JWK "kid").');
+  }
+  const keyAgreementKey = {
+    id,
+    type: 'X25519KeyAgreementKey2020',
+    publicKeyMultibase
+  };
+  if(controller !== undefined) {
+    keyAgreementKey.controller = controller;
+  }
+  return keyAgreementKey;
+}
+
+function _assertX25519Multibase({publicKeyMultibase}) {
+  let decoded;
+  if(typeof publicKeyMultibase === 'string' &&
+    publicKeyMultibase.startsWith('z')) {
+    decoded = base58.decode(publicKeyMultibase.slice(1));
+  }
+  if(!(decoded &&
+    decoded.length === X25519_MULTICODEC.length + X25519_PUBLIC_KEY_SIZE &&
+    decoded[0] === X25519_MULTICODEC[0] &&
+    decoded[1] === X25519_MULTICODEC[1])) {
+    throw new TypeError(
+      '"publicKeyMultibase" must be a base58btc-encoded X25519 public key.');
+  }
+}
+
+function _jwkToMultibase({jwk}) {
+  if(!(jwk && jwk.kty === 'OKP' && jwk.crv === 'X25519' &&
+    typeof jwk.x === 'string')) {
+    throw new TypeError('Key agreement key JWK must be an X25519 "OKP" JWK.');
+  }
+  const x = Buffer.from(jwk.x, 'base64url');
+  if(x.length !== X25519_PUBLIC_KEY_SIZE) {
+    throw new TypeError('Key agreement key JWK "x" must be 32 bytes.');
+  }
+  const bytes = new Uint8Array(X25519_MULTICODEC.length + x.length);
+  bytes.set(X25519_MULTICODEC);
+  bytes.set(x, X25519_MULTICODEC.length);
+  return `z${base58.encode(bytes)}`;
+}
@@ -0,0 +1,6 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import {loggers} from '@bedrock/core';
+
+export const logger = loggers.get('app').child('bedrock-tokenization');
@@ -0,0 +1,329 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {_decrypt, _encrypt} from './documents.js';
+import assert from 'assert-plus';
+import {Cipher} from '@digitalbazaar/minimal-cipher';
+import {IdGenerator} from 'bnid';
+
+const {util: {BedrockError}} = bedrock;
+
+// 128 bit random id generator
+const idGenerator = new IdGenerator({bitLength: 128});
+
+// default number of registration records processed per batch
+const DEFAULT_BATCH_SIZE = 100;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections(['tokenization-reencryptionJob']);
+
+  await database.createIndexes([{
+    collection: 'tokenization-reencryptionJob',
+    fields: {'reencryptionJob.id': 1},
+    options: {unique: true}
+  }]);
+});
+
+/**
+ * Creates a job to re-encrypt stored documents for new recipients, e.g., when
+ * a key agreement key is rotated or an escrow recipient is added. The job
+ * does nothing until it is run via `run()`; the old key agreement keys needed
+ * to decrypt documents are passed to `run()` and are never stored.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<object>} [options.recipients] - The new recipients to encrypt
+ *   documents for.
+ * @param {Array<Array<object>>} [options.recipientChain] - The new recipient
+ *   chain to encrypt documents for; see `documents.register()`.
+ * @param {boolean} [options.dryRun=false] - Set to true to create a job that
+ *   only decrypts affected documents and reports, as `wouldReencrypt`, how
+ *   many would be re-encrypted without changing any registration records; a
+ *   dry-run job finishes with a `status` of `dryRunComplete` rather than
+ *   `complete`.
+ *
+ * @returns {Promise<object>} Resolves with the re-encryption job record.
+ */
+export async function create({
+  recipients, recipientChain, dryRun = false
+} = {}) {
+  assert.optionalArrayOfObject(recipients, 'recipients');
+  assert.optionalArrayOfArray(recipientChain, 'recipientChain');
+  assert.bool(dryRun, 'dryRun');
+  if(recipients && recipientChain) {
+    throw new TypeError(
+      'Only one of "recipients" or "recipientChain" is allowed.');
+  }
+  if(!(recipients || recipientChain)) {
+    throw new TypeError('"recipients" or "recipientChain" is required.');
+  }
+  if(recipients) {
+    recipientChain = [recipients];
+  }
+  if(recipientChain.length === 0) {
+    throw new TypeError('"recipientChain" must be a non-empty array.');
+  }
+  recipientChain.forEach(recipients => {
+    assert.arrayOfObject(recipients, 'recipients');
+    if(recipients.length === 0) {
+      throw new TypeError('"recipients" must be a non-empty array.');
+    }
+  });
+
+  const now = Date.now();
+  const progress = {
+    // `_id` of the last registration record processed
+    lastRecordId: null,
+    processed: 0,
+    failed: 0
+  };
+  if(dryRun) {
+    progress.wouldReencrypt = 0;
+  } else {
+    progress.reencrypted = 0;
+    progress.skipped = 0;
+  }
+  const record = {
+    meta: {created: now, updated: now},
+    reencryptionJob: {
+      id: Buffer.from(await idGenerator.generate()),
+      status: 'pending',
+      dryRun,
+      recipientChain,
+      progress
+    }
+  };
+  const collection = database.collections['tokenization-reencryptionJob'];
+  await collection.insertOne(record);
+  return record;
+}
+
+/**
+ * Gets a re-encryption job record.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.id - The job ID.
+ * @param {boolean} [options.explain] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with the re-encryption
+ *   job record or an ExplainObject if `explain=true`.
+ */
+export async function get({id, explain = false} = {}) {
+  assert.buffer(id, 'id');
+  const collection = database.collections['tokenization-reencryptionJob'];
+  const query = {'reencryptionJob.id': id};
+  const projection = {_id: 0};
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'findOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query, {projection}).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const record = await collection.findOne(query, {projection});
+  if(!record) {
+    throw new BedrockError(
+      'Re-encryption job not found.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  return record;
+}
+
+/**
+ * Runs a re-encryption job. Unexpired registration records with a stored
+ * document that is encrypted for any of the given key agreement keys are
+ * walked in order, one batch at a time; each document is decrypted and
+ * re-encrypted for the job's recipients and the record's `registration.jwe`
+ * is replaced atomically, provided it has not changed since it was read.
+ *
+ * The job's progress is saved after each batch so that a job that is
+ * interrupted (or limited via `limit`) can be resumed by calling this
+ * function again with the same job ID. A job must not be run concurrently
+ * with itself; a concurrent run is detected when progress is saved and causes
+ * an `InvalidStateError`. Documents that fail to be decrypted, re-encrypted,
+ * or updated are counted as `failed` and are not retried when the job is
+ * resumed.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.id - The job ID.
+ * @param {object} [options.keyAgreementKey] - The old key agreement key that
+ *   can decrypt affected documents.
+ * @param {Array<object>} [options.keyAgreementKeys] - The old key agreement
+ *   keys that can decrypt affected documents; use this instead of
+ *   `keyAgreementKey` to decrypt documents encrypted via a `recipientChain`
+ *   or to re-encrypt documents encrypted for different keys.
+ * @param {number} [options.batchSize=100] - The max number of records to
+ *   process per batch.
+ * @param {number} [options.limit] - An optional max number of records to
+ *   process in this run.
+ * @param {boolean} [options.explain] - Set to true to return database query
+ *   explain information for the next batch instead of running the job.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with the updated
+ *   re-encryption job record, with a `status` of `complete` (or
+ *   `dryRunComplete`) once every affected record has been processed, or an
+ *   ExplainObject if `explain=true`.
+ */
+export async function run({
+  id, keyAgreementKey, keyAgreementKeys, batchSize = DEFAULT_BATCH_SIZE,
+  limit, explain = false
+} = {}) {
+  assert.buffer(id, 'id');
+  assert.optionalObject(keyAgreementKey, 'keyAgreementKey');
+  assert.optionalArrayOfObject(keyAgreementKeys, 'keyAgreementKeys');
+  assert.optionalNumber(limit, 'limit');
+  if(keyAgreementKey && keyAgreementKeys) {
+    throw new TypeError(
+      'Only one of "keyAgreementKey" or "keyAgreementKeys" is allowed.');
+  }
+  if(!(keyAgreementKey || keyAgreementKeys?.length > 0)) {
+    throw new TypeError(
+      '"keyAgreementKey" or "keyAgreementKeys" is required.');
+  }
+  if(keyAgreementKey) {
+    keyAgreementKeys = [keyAgreementKey];
+  }
+  if(!(Number.isInteger(batchSize) && batchSize > 0)) {
+    throw new RangeError('"batchSize" must be a positive integer.');
+  }
+  if(limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    throw new RangeError('"limit" must be a positive integer.');
+  }
+
+  let record = await get({id});
+  const kids = keyAgreementKeys.map(({id}) => id);
+
+  if(explain) {
+    const {lastRecordId} = record.reencryptionJob.progress;
+    return _getBatch({kids, lastRecordId, batchSize, explain});
+  }
+
+  const cipher = new Cipher();
+  let remaining = limit ?? Infinity;
+  while(record.reencryptionJob.status === 'pending' && remaining > 0) {
+    const {reencryptionJob: job} = record;
+    const size = Math.min(batchSize, remaining);
+    const batch = await _getBatch({
+      kids, lastRecordId: job.progress.lastRecordId, batchSize: size
+    });
+    const outcomes = await Promise.all(batch.map(
+      ({_id, registration: {jwe, jweLayers}}) => _reencrypt({
+        _id, jwe, jweLayers, keyAgreementKeys, cipher, job
+      })));
+
+    const progress = {...job.progress};
+    if(batch.length > 0) {
+      progress.lastRecordId = batch[batch.length - 1]._id;
+    }
+    progress.processed += batch.length;
+    for(const outcome of outcomes) {
+      progress[outcome]++;
+    }
+    let status = 'pending';
+    if(batch.length < size) {
+      status = job.dryRun ? 'dryRunComplete' : 'complete';
+    }
+    record = await _saveProgress({record, progress, status});
+    remaining -= batch.length;
+  }
+  return record;
+}
+
+async function _getBatch({kids, lastRecordId, batchSize, explain = false}) {
+  const query = {
+    'registration.jwe.recipients.header.kid': {$in: kids},
+    // explicitly check `expires` against current time to skip records that
+    // just haven't been expunged yet
+    'registration.expires': {$gt: new Date()}
+  };
+  if(lastRecordId) {
+    query._id = {$gt: lastRecordId};
+  }
+  const projection = {
+    _id: 1, 'registration.jwe': 1, 'registration.jweLayers': 1
+  };
+  const collection = database.collections['tokenization-registration'];
+  const cursor = collection.find(query, {projection})
+    .sort({_id: 1}).limit(batchSize);
+  if(explain) {
+    return cursor.explain('executionStats');
+  }
+  return cursor.toArray();
+}
+
+async function _reencrypt({
+  _id, jwe, jweLayers, keyAgreementKeys, cipher, job
+}) {
+  let document;
+  try {
+    document = await _decrypt(
+      {cipher, jwe, layers: jweLayers, keyAgreementKeys});
+  } catch {
+    return 'failed';
+  }
+  if(job.dryRun) {
+    return 'wouldReencrypt';
+  }
+  // errors must be caught per record so that the progress of the other
+  // records in the batch is still saved
+  try {
+    const newJwe = await _encrypt({
+      document, recipientChain: job.recipientChain
+    });
+    // only replace the JWE if it is unchanged since it was read
+    const query = {_id, 'registration.jwe.ciphertext': jwe.ciphertext};
+    const collection = database.collections['tokenization-registration'];
+    const result = await collection.updateOne(query, {
+      $set: {
+        'meta.updated': Date.now(),
+        'registration.jwe': newJwe,
+        'registration.jweLayers': job.recipientChain.length
+      }
+    });
+    return result.modifiedCount === 0 ? 'skipped' : 'reencrypted';
+  } catch {
+    return 'failed';
+  }
+}
+
+async function _saveProgress({record, progress, status}) {
+  const {reencryptionJob: job} = record;
+  const now = Date.now();
+  // only save progress if no other run has saved progress in the meantime
+  const query = {
+    'reencryptionJob.id': job.id,
+    'reencryptionJob.progress.processed': job.progress.processed
+  };
+  const collection = database.collections['tokenization-reencryptionJob'];
+  const result = await collection.updateOne(query, {
+    $set: {
+      'meta.updated': now,
+      'reencryptionJob.status': status,
+      'reencryptionJob.progress': progress
+    }
+  });
+  if(result.matchedCount === 0) {
+    throw new BedrockError(
+      'Re-encryption job progress has changed; the job may be running ' +
+      'concurrently.',
+      'InvalidStateError', {
+        httpStatusCode: 409,
+        public: true
+      });
+  }
+  return {
+    meta: {...record.meta, updated: now},
+    reencryptionJob: {...job, status, progress}
+  };
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
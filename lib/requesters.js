@@ -0,0 +1,212 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+
+const {util: {BedrockError}} = bedrock;
+
+const STATUSES = ['active', 'suspended'];
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections(['tokenization-requester']);
+
+  await database.createIndexes([{
+    // the `requester` collection must support look ups on the requester `id`
+    // (the same value passed as `requester` when resolving tokens) and its
+    // value uniquely identifies a requester, so its shard key is `id`
+    collection: 'tokenization-requester',
+    fields: {'requester.id': 1},
+    options: {unique: true}
+  }]);
+});
+
+/**
+ * Registers a requester. Once registered, a requester's status and policy
+ * are applied when it resolves tokens if the requester registry is enforced
+ * (see `config.tokenization.requesterRegistry.enforce`).
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The requester ID, i.e., the same value passed
+ *   as `requester` when resolving tokens.
+ * @param {string} [options.displayName] - A human readable name for the
+ *   requester.
+ * @param {string} [options.status='active'] - The requester's status, either
+ *   `active` or `suspended`; suspended requesters cannot resolve tokens.
+ * @param {object} [options.policy={}] - The requester's policy, with an
+ *   optional `minAssuranceForResolution`, a minimum level of assurance
+ *   required for the requester to resolve any token (in addition to any
+ *   minimum level of assurance for the token itself), and optional
+ *   `allowedAttributes`, an array of Uint8Arrays such that the requester may
+ *   only resolve tokens with cleartext attributes that match one of them.
+ *
+ * @returns {Promise<object>} Resolves with the requester record.
+ */
+export async function create({
+  id, displayName, status = 'active', policy = {}
+} = {}) {
+  assert.string(id, 'id');
+  assert.optionalString(displayName, 'displayName');
+  _assertStatus({status});
+  _assertPolicy({policy});
+
+  const now = Date.now();
+  const record = {
+    meta: {created: now, updated: now},
+    requester: {id, status, policy: _toStoredPolicy({policy})}
+  };
+  if(displayName !== undefined) {
+    record.requester.displayName = displayName;
+  }
+  const collection = database.collections['tokenization-requester'];
+  try {
+    await collection.insertOne(record);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'Duplicate requester.',
+      'DuplicateError', {
+        public: true,
+        httpStatusCode: 409
+      }, e);
+  }
+  return record;
+}
+
+/**
+ * Gets a requester record.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The requester ID.
+ * @param {boolean} [options.explain] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with the requester
+ *   record or an ExplainObject if `explain=true`.
+ */
+export async function get({id, explain = false} = {}) {
+  assert.string(id, 'id');
+  const collection = database.collections['tokenization-requester'];
+  const query = {'requester.id': id};
+  const projection = {_id: 0};
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'findOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query, {projection}).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const record = await collection.findOne(query, {projection});
+  if(!record) {
+    throw new BedrockError(
+      'Requester not found.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  return record;
+}
+
+/**
+ * Updates a requester's display name, status, and / or policy. Only the
+ * given values are updated; a given `policy` replaces the existing policy.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The requester ID.
+ * @param {string} [options.displayName] - The new display name.
+ * @param {string} [options.status] - The new status, `active` or
+ *   `suspended`.
+ * @param {object} [options.policy] - The new policy; see `create`.
+ * @param {boolean} [options.explain] - An optional explain boolean.
+ *
+ * @returns {Promise<boolean | ExplainObject>} Resolves with true if update
+ *   occurred or an ExplainObject if `explain=true`.
+ */
+export async function update({
+  id, displayName, status, policy, explain = false
+} = {}) {
+  assert.string(id, 'id');
+  assert.optionalString(displayName, 'displayName');
+  if(status !== undefined) {
+    _assertStatus({status});
+  }
+  if(policy !== undefined) {
+    _assertPolicy({policy});
+  }
+
+  const query = {'requester.id': id};
+  const $set = {'meta.updated': Date.now()};
+  if(displayName !== undefined) {
+    $set['requester.displayName'] = displayName;
+  }
+  if(status !== undefined) {
+    $set['requester.status'] = status;
+  }
+  if(policy !== undefined) {
+    $set['requester.policy'] = _toStoredPolicy({policy});
+  }
+
+  const collection = database.collections['tokenization-requester'];
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'updateOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const result = await collection.updateOne(query, {$set});
+  if(result.matchedCount === 0) {
+    throw new BedrockError(
+      'Requester not found.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  return result.modifiedCount !== 0;
+}
+
+function _assertPolicy({policy}) {
+  assert.object(policy, 'policy');
+  const {minAssuranceForResolution, allowedAttributes} = policy;
+  assert.optionalNumber(
+    minAssuranceForResolution, 'policy.minAssuranceForResolution');
+  if(allowedAttributes !== undefined) {
+    if(!(Array.isArray(allowedAttributes) &&
+      allowedAttributes.every(a => a instanceof Uint8Array))) {
+      throw new TypeError(
+        '"policy.allowedAttributes" must be an array of Uint8Arrays.');
+    }
+  }
+}
+
+function _assertStatus({status}) {
+  if(!STATUSES.includes(status)) {
+    throw new TypeError(
+      `"status" must be one of: ${STATUSES.map(s => `"${s}"`).join(', ')}.`);
+  }
+}
+
+function _toStoredPolicy({policy}) {
+  const stored = {};
+  const {minAssuranceForResolution, allowedAttributes} = policy;
+  if(minAssuranceForResolution !== undefined) {
+    stored.minAssuranceForResolution = minAssuranceForResolution;
+  }
+  if(allowedAttributes !== undefined) {
+    stored.allowedAttributes = allowedAttributes.map(
+      a => Buffer.from(a.buffer, a.byteOffset, a.length));
+  }
+  return stored;
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
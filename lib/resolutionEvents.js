@@ -0,0 +1,294 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {IdGenerator} from 'bnid';
+
+const {util: {BedrockError}} = bedrock;
+
+// 128 bit random id generator
+const idGenerator = new IdGenerator({bitLength: 128});
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+// outcome codes for resolution events
+export const OUTCOMES = {
+  SUCCESS: 'success',
+  ALREADY_USED: 'alreadyUsed',
+  ASSURANCE_NOT_MET: 'assuranceNotMet',
+  ATTRIBUTES_NOT_ALLOWED: 'attributesNotAllowed',
+  AUDIENCE_MISMATCH: 'audienceMismatch',
+  EXPIRED: 'expired',
+  INVALID: 'invalid',
+  INVALIDATED: 'invalidated',
+  NOT_FOUND: 'notFound',
+  NOT_YET_VALID: 'notYetValid',
+  REQUESTER_NOT_ALLOWED: 'requesterNotAllowed',
+  REVOKED: 'revoked',
+  ERROR: 'error'
+};
+
+// errors that cause token resolution to fail are tagged with the outcome
+// code to record for them via this symbol
+const OUTCOME = Symbol('outcome');
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections(['tokenization-resolutionEvent']);
+
+  /* Note: Resolution events are an audit log of token resolution attempts.
+  They are only ever queried by `requester` or by `internalId`, newest first,
+  so both indexes end with the fields used to sort (and paginate) events.
+  Resolution events never include a token batch ID; they must not provide a
+  way to correlate tokens from the same token batch. */
+  const indexes = [{
+    collection: 'tokenization-resolutionEvent',
+    fields: {
+      'resolutionEvent.requester': 1,
+      'resolutionEvent.date': -1,
+      'resolutionEvent.id': -1
+    },
+    options: {unique: false}
+  }, {
+    collection: 'tokenization-resolutionEvent',
+    fields: {
+      'resolutionEvent.internalId': 1,
+      'resolutionEvent.date': -1,
+      'resolutionEvent.id': -1
+    },
+    options: {unique: false}
+  }];
+
+  // only create TTL expiration records if configured to do so
+  const {autoRemoveExpiredRecords} = bedrock.config.tokenization;
+  if(autoRemoveExpiredRecords) {
+    indexes.push({
+      // automatically expire resolution events using `expires` date field
+      collection: 'tokenization-resolutionEvent',
+      fields: {'resolutionEvent.expires': 1},
+      options: {
+        unique: false,
+        // no grace period is needed; resolution events are never updated
+        expireAfterSeconds: 0
+      }
+    });
+  }
+
+  await database.createIndexes(indexes);
+});
+
+/**
+ * Queries resolution events by `requester` and / or `internalId`. Events are
+ * returned newest first, `limit` at a time; pass the returned `cursor` to
+ * get the next page of events.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.requester] - The requester to get events for.
+ * @param {Buffer} [options.internalId] - The internal ID to get events for.
+ * @param {string} [options.outcome] - An optional outcome code to filter by.
+ * @param {Date} [options.since] - An optional date; only events that occurred
+ *   at or after this date are returned.
+ * @param {Date} [options.until] - An optional date; only events that occurred
+ *   before this date are returned.
+ * @param {number} [options.limit=100] - The max number of events to return,
+ *   up to 1000.
+ * @param {string} [options.cursor] - The `cursor` returned from a previous
+ *   query with the same options, to get the next page of events.
+ * @param {boolean} [options.explain] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with an object with
+ *   `events`, an array of resolution events, and `cursor`, which is set if
+ *   there may be more events to get, or an ExplainObject if `explain=true`.
+ */
+export async function query({
+  requester, internalId, outcome, since, until, limit = DEFAULT_QUERY_LIMIT,
+  cursor, explain = false
+} = {}) {
+  assert.optionalString(requester, 'requester');
+  assert.optionalBuffer(internalId, 'internalId');
+  assert.optionalString(outcome, 'outcome');
+  assert.optionalDate(since, 'since');
+  assert.optionalDate(until, 'until');
+  assert.optionalString(cursor, 'cursor');
+  if(requester === undefined && internalId === undefined) {
+    throw new TypeError('Either "requester" or "internalId" must be given.');
+  }
+  if(!(Number.isInteger(limit) && limit > 0 && limit <= MAX_QUERY_LIMIT)) {
+    throw new RangeError(
+      `"limit" must be an integer from 1 to ${MAX_QUERY_LIMIT}.`);
+  }
+
+  // explicitly exclude expired events to handle cases where the database
+  // records just haven't been expunged yet
+  const now = new Date();
+  const query = {'resolutionEvent.expires': {$gt: now}};
+  if(requester !== undefined) {
+    query['resolutionEvent.requester'] = requester;
+  }
+  if(internalId !== undefined) {
+    query['resolutionEvent.internalId'] = internalId;
+  }
+  if(outcome !== undefined) {
+    query['resolutionEvent.outcome'] = outcome;
+  }
+  if(since !== undefined || until !== undefined) {
+    const date = query['resolutionEvent.date'] = {};
+    if(since !== undefined) {
+      date.$gte = since;
+    }
+    if(until !== undefined) {
+      date.$lt = until;
+    }
+  }
+  if(cursor !== undefined) {
+    // continue after the last event from the previous page
+    const last = _parseCursor({cursor});
+    query.$or = [
+      {'resolutionEvent.date': {$lt: last.date}},
+      {'resolutionEvent.date': last.date, 'resolutionEvent.id': {$lt: last.id}}
+    ];
+  }
+
+  const projection = {_id: 0};
+  const sort = {'resolutionEvent.date': -1, 'resolutionEvent.id': -1};
+  const collection = database.collections['tokenization-resolutionEvent'];
+
+  if(explain) {
+    const cursor = await collection.find(query, {projection, sort})
+      .limit(limit);
+    return cursor.explain('executionStats');
+  }
+
+  const records = await collection.find(query, {projection, sort})
+    .limit(limit).toArray();
+  const events = records.map(({resolutionEvent}) => resolutionEvent);
+  const result = {events};
+  if(events.length === limit) {
+    const {date, id} = events[events.length - 1];
+    result.cursor = `${date.getTime()}.${id.toString('base64url')}`;
+  }
+  return result;
+}
+
+/**
+ * Records resolution events. This function is called internally when tokens
+ * are resolved and is exported for testing purposes.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<object>} options.events - The events to record, each with
+ *   `requester`, `outcome`, `levelOfAssurance`, and, if known, `internalId`.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if events were recorded and
+ *   `false` if recording resolution events is disabled.
+ */
+export async function _record({events} = {}) {
+  assert.array(events, 'events');
+  const {enabled, ttl} = bedrock.config.tokenization.resolutionEvents;
+  if(!enabled || events.length === 0) {
+    return false;
+  }
+
+  const now = Date.now();
+  const date = new Date(now);
+  const expires = new Date(now + ttl);
+  const records = await Promise.all(events.map(async ({
+    requester, outcome, levelOfAssurance, internalId
+  }) => {
+    const resolutionEvent = {
+      id: Buffer.from(await idGenerator.generate()),
+      requester,
+      outcome,
+      date,
+      expires
+    };
+    if(levelOfAssurance !== undefined) {
+      resolutionEvent.levelOfAssurance = levelOfAssurance;
+    }
+    if(internalId !== undefined) {
+      resolutionEvent.internalId = internalId;
+    }
+    return {meta: {created: now}, resolutionEvent};
+  }));
+  const collection = database.collections['tokenization-resolutionEvent'];
+  await collection.insertMany(records, {ordered: false});
+  return true;
+}
+
+/**
+ * Tags an error that causes token resolution to fail with the outcome code
+ * to record for it. This function is called internally where such errors are
+ * thrown and is exported for testing purposes.
+ *
+ * @param {object} options - Options to use.
+ * @param {Error} options.error - The error to tag.
+ * @param {string} options.outcome - The outcome code, one of `OUTCOMES`.
+ *
+ * @returns {Error} The tagged error.
+ */
+export function _setOutcome({error, outcome} = {}) {
+  error[OUTCOME] = outcome;
+  return error;
+}
+
+/**
+ * Gets the outcome code to record for an error that caused token resolution
+ * to fail; errors that were not tagged via `_setOutcome()` are recorded as
+ * `OUTCOMES.ERROR`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Error} options.error - The error.
+ *
+ * @returns {string} The outcome code.
+ */
+export function _getOutcome({error} = {}) {
+  return error[OUTCOME] ?? OUTCOMES.ERROR;
+}
+
+/**
+ * Removes every resolution event for an entity, e.g., when the entity is
+ * erased via `entities.erase()`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.internalId - The internal ID of the entity.
+ * @param {boolean} [options.explain] - An optional explain boolean.
+ *
+ * @returns {Promise<number | ExplainObject>} Resolves with the number of
+ *   removed resolution events or an ExplainObject if `explain=true`.
+ */
+export async function _removeAll({internalId, explain = false} = {}) {
+  assert.buffer(internalId, 'internalId');
+  const query = {'resolutionEvent.internalId': internalId};
+  const collection = database.collections['tokenization-resolutionEvent'];
+
+  if(explain) {
+    // 'find()' is used here because 'deleteMany()' doesn't return a cursor
+    // which allows the use of the explain function.
+    const cursor = await collection.find(query, {projection: {_id: 0}});
+    return cursor.explain('executionStats');
+  }
+
+  const result = await collection.deleteMany(query);
+  return result.deletedCount;
+}
+
+function _parseCursor({cursor}) {
+  const [time, id] = cursor.split('.');
+  const date = new Date(parseInt(time, 10));
+  if(!(id && /^\d+$/.test(time) && !isNaN(date))) {
+    throw new BedrockError(
+      'Invalid resolution event cursor.',
+      'DataError', {
+        public: true,
+        httpStatusCode: 400
+      });
+  }
+  return {date, id: Buffer.from(id, 'base64url')};
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
@@ -0,0 +1,168 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import crypto from 'node:crypto';
+
+const {util: {BedrockError}} = bedrock;
+
+// JWS `alg` for each supported key type
+const ALGORITHMS = new Map([
+  ['OKP:Ed25519', {alg: 'EdDSA', digest: null}],
+  ['EC:P-256', {alg: 'ES256', digest: 'sha256', dsaEncoding: 'ieee-p1363'}]
+]);
+const TYPE = 'TokenResolutionAssertion';
+
+// keys created from the configured private key JWK, if any
+let KEYS;
+
+/**
+ * Creates a signed resolution assertion, a compact JWS (a JWT) that a
+ * requester can use to prove to a third party that a token was resolved to
+ * it. The assertion is signed with the key configured via
+ * `bedrock.config.tokenization.resolutionAssertions`.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.requester - The requester the token was resolved
+ *   to.
+ * @param {object} options.result - The resolution result with
+ *   `pairwiseToken`, `validUntil`, `minAssuranceForResolution`, and optional
+ *   `resolutionMeta`.
+ *
+ * @returns {string} The assertion.
+ */
+export function create({requester, result} = {}) {
+  const {privateKey, algorithm: {alg, digest, dsaEncoding}} = _getKeys();
+  const {kid} = bedrock.config.tokenization.resolutionAssertions;
+  const {
+    pairwiseToken, validUntil, minAssuranceForResolution, resolutionMeta
+  } = result;
+
+  const header = {alg, typ: 'JWT'};
+  if(kid) {
+    header.kid = kid;
+  }
+  const payload = {
+    type: TYPE,
+    aud: requester,
+    sub: Buffer.from(pairwiseToken).toString('base64url'),
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(validUntil.getTime() / 1000),
+    minAssuranceForResolution
+  };
+  if(resolutionMeta) {
+    payload.resolutionMeta = resolutionMeta;
+  }
+  const signingInput = `${_encode(header)}.${_encode(payload)}`;
+  const signature = crypto.sign(
+    digest, Buffer.from(signingInput), {key: privateKey, dsaEncoding});
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verifies a resolution assertion created by this module (see the
+ * `assertion` option of `resolve`) using the key configured via
+ * `bedrock.config.tokenization.resolutionAssertions`.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.assertion - The assertion to verify.
+ *
+ * @returns {object} An object with the asserted `requester`,
+ *   `pairwiseToken`, `validUntil`, `minAssuranceForResolution`, any
+ *   `resolutionMeta`, and the `Date` the assertion was `issued`.
+ */
+export function verify({assertion} = {}) {
+  if(typeof assertion !== 'string') {
+    throw new TypeError('"assertion" must be a string.');
+  }
+  const {publicKey, algorithm: {alg, digest, dsaEncoding}} = _getKeys();
+
+  let payload;
+  try {
+    const [encodedHeader, encodedPayload, signature, ...rest] =
+      assertion.split('.');
+    if(!(signature && rest.length === 0)) {
+      throw new Error('Invalid compact JWS.');
+    }
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url'));
+    if(header.alg !== alg) {
+      throw new Error(`Unexpected JWS algorithm "${header.alg}".`);
+    }
+    const verified = crypto.verify(
+      digest, Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      {key: publicKey, dsaEncoding}, Buffer.from(signature, 'base64url'));
+    if(!verified) {
+      throw new Error('Signature verification failed.');
+    }
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url'));
+    if(payload.type !== TYPE) {
+      throw new Error(`Unexpected assertion type "${payload.type}".`);
+    }
+  } catch(e) {
+    throw new BedrockError(
+      'Invalid resolution assertion.',
+      'DataError', {
+        public: true,
+        httpStatusCode: 400
+      }, e);
+  }
+
+  const validUntil = new Date(payload.exp * 1000);
+  if(Date.now() > validUntil) {
+    throw new BedrockError(
+      'Resolution assertion has expired.',
+      'NotAllowedError', {
+        public: true,
+        httpStatusCode: 403
+      });
+  }
+
+  const result = {
+    requester: payload.aud,
+    pairwiseToken: new Uint8Array(Buffer.from(payload.sub, 'base64url')),
+    validUntil,
+    minAssuranceForResolution: payload.minAssuranceForResolution,
+    issued: new Date(payload.iat * 1000)
+  };
+  if(payload.resolutionMeta) {
+    result.resolutionMeta = payload.resolutionMeta;
+  }
+  return result;
+}
+
+// throws if resolution assertions are not configured
+export function assertEnabled() {
+  _getKeys();
+}
+
+function _encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function _getKeys() {
+  const {privateKeyJwk} = bedrock.config.tokenization.resolutionAssertions;
+  if(!privateKeyJwk) {
+    throw new BedrockError(
+      'Resolution assertions are not enabled because no key is configured.', {
+        name: 'NotAllowedError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+  // reuse keys for the same configured JWK
+  if(KEYS?.privateKeyJwk === privateKeyJwk) {
+    return KEYS;
+  }
+  const algorithm = ALGORITHMS.get(`${privateKeyJwk.kty}:${privateKeyJwk.crv}`);
+  if(!algorithm) {
+    throw new Error(
+      'Resolution assertion key must be an Ed25519 or P-256 private key JWK.');
+  }
+  const privateKey = crypto.createPrivateKey(
+    {key: privateKeyJwk, format: 'jwk'});
+  const publicKey = crypto.createPublicKey(privateKey);
+  KEYS = {privateKeyJwk, privateKey, publicKey, algorithm};
+  return KEYS;
+}
@@ -6,8 +6,11 @@ import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
 import * as documents from '../documents.js';
 import * as entities from '../entities.js';
-import {create as _createToken} from './format.js';
+import {create as _createToken, parse as _parseToken} from './format.js';
+import {_setOutcome, OUTCOMES} from '../resolutionEvents.js';
+import {assertEncoding, encode as encodeToken} from './encodings.js';
 import assert from 'assert-plus';
+import {Bitstring} from '@digitalbazaar/bitstring';
 import crypto from 'node:crypto';
 import {MAX_EXPIRATION_DATE} from '../helpers.js';
 import pLimit from 'p-limit';
@@ -18,14 +21,19 @@ const {util: {BedrockError}} = bedrock;
 
 /* Note: This represents a zero-filled, compressed bitstring of length 256,
 used to track the resolution status of tokens in batches with a max size of
-256. The configured token batch size for the default token batch version is
-only 100, so it fits within this parameter. The config for this module has
-comments that indicate that the max configurable token batch size is 256 and
-this is because of this implementation detail. */
+256. This is the default resolution list length for token batch versions; it
+is also the length used by all batch versions that predate the
+`batchResolutionListLength` option. Batch versions that declare a different
+length will have an empty resolved list of that length generated (and cached)
+on demand. */
 const EMPTY_RESOLVED_LIST_FOR_MAX_BATCH_SIZE_256 = Buffer.from(
   'H4sIAAAAAAAAA2NgwA8ArVUKGSAAAAA', 'base64url');
+const EMPTY_RESOLVED_LISTS = new Map([
+  [256, EMPTY_RESOLVED_LIST_FOR_MAX_BATCH_SIZE_256]
+]);
 
 const INTERNAL_ID_SIZE = 16;
+const MAX_SECRET_ATTRIBUTES_SIZE = 255;
 const MAX_TOKEN_COUNT = 100;
 const MIN_TOKEN_COUNT = 0;
 
@@ -72,19 +80,32 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
 // creation of tokens
 export async function createTokens({
   internalId, attributes = new Uint8Array(), tokenCount,
-  minAssuranceForResolution = 2,
-  tokenizer, batchVersion,
+  minAssuranceForResolution = 2, ttl, notBefore, secretAttributes, audience,
+  encoding, tokenizer, batchVersion,
   registerPromise, registerOptions, newRegistration
 } = {}) {
   assert.buffer(internalId, 'internalId');
   assert.number(tokenCount, 'tokenCount');
   assert.number(minAssuranceForResolution, 'minAssuranceForResolution');
+  assert.optionalNumber(ttl, 'ttl');
+  assert.optionalDate(notBefore, 'notBefore');
+  assert.optionalString(audience, 'audience');
   assert.optionalObject(registerOptions, 'registerOptions');
   assert.optionalBool(newRegistration, 'newRegistration');
 
   if(!(attributes instanceof Uint8Array)) {
     throw new TypeError('"attributes" must be a Uint8Array.');
   }
+  if(secretAttributes !== undefined) {
+    if(!(secretAttributes instanceof Uint8Array)) {
+      throw new TypeError('"secretAttributes" must be a Uint8Array.');
+    }
+    if(secretAttributes.length > MAX_SECRET_ATTRIBUTES_SIZE) {
+      throw new RangeError(
+        `"secretAttributes.length" must be less than or equal to ` +
+        `${MAX_SECRET_ATTRIBUTES_SIZE}.`);
+    }
+  }
   if(internalId.length !== INTERNAL_ID_SIZE) {
     throw new RangeError(`"internalId.length" must be ${INTERNAL_ID_SIZE}.`);
   }
@@ -92,6 +113,12 @@ export async function createTokens({
     throw new RangeError(`"tokenCount" must be greater than ` +
       `${MIN_TOKEN_COUNT} or less than or equal to ${MAX_TOKEN_COUNT}.`);
   }
+  if(encoding !== undefined) {
+    assertEncoding({encoding});
+  }
+  if(ttl !== undefined && !(ttl > 0)) {
+    throw new RangeError('"ttl" must be a positive number.');
+  }
 
   if(!tokenizer) {
     // get the current tokenizer
@@ -106,6 +133,32 @@ export async function createTokens({
     ({batchVersion} = await batchVersions.ensureBatchVersion({tokenizerId}));
   }
 
+  // per-token expiration and activation times, secret attributes, and
+  // audiences are token extensions
+  if((ttl !== undefined || notBefore !== undefined ||
+    secretAttributes?.length > 0 || audience !== undefined) &&
+    batchVersions.getPayloadFormat({batchVersion}) !== 'extended') {
+    throw new BedrockError(
+      'Per-token "ttl", "notBefore", "secretAttributes", and "audience" ' +
+      'options are not supported by the current token batch version.',
+      'NotSupportedError', {
+        public: true,
+        httpStatusCode: 400
+      });
+  }
+
+  // compute per-token expiration time, if any
+  let expires;
+  if(ttl !== undefined) {
+    // tokens never outlive their batch, so a `ttl` longer than the batch TTL
+    // has no effect; token expiration times have a precision of seconds
+    const time = Date.now() + Math.min(ttl, batchVersion.options.ttl);
+    expires = new Date(Math.floor(time / 1000) * 1000);
+  }
+  if(notBefore !== undefined && expires && notBefore >= expires) {
+    throw new RangeError('"notBefore" must be before the token expires.');
+  }
+
   // create tokens with limited concurrency
   const {tokenCreationConcurrency: concurrency} = bedrock.config.tokenization;
   const limit = pLimit(concurrency);
@@ -130,13 +183,24 @@ export async function createTokens({
     for(let i = 0; i < claimedTokenCount; ++i) {
       const index = startIndex + i;
       promises.push(limit(() => _createToken(
-        {hmac, batchVersion, tokenBatch, index, attributes})));
+        {hmac, batchVersion, tokenBatch, index, attributes, expires,
+          notBefore, secretAttributes, audience})));
     }
     const newTokens = await Promise.all(promises);
     tokens.push(...newTokens);
 
     // update `validUntil`
     validUntil = new Date(tokenBatch.expires);
+    if(expires < validUntil) {
+      validUntil = expires;
+    }
+  }
+
+  if(encoding !== undefined) {
+    return {
+      tokens: tokens.map(token => encodeToken({token, encoding})),
+      validUntil
+    };
   }
 
   return {tokens, validUntil};
@@ -170,9 +234,12 @@ export async function getBatch({id, explain = false} = {}) {
     };
 
     // error is intentionally "Token not found", does not leak `batch` info
-    throw new BedrockError(
-      'Token not found.',
-      'NotFoundError', details);
+    throw _setOutcome({
+      outcome: OUTCOMES.NOT_FOUND,
+      error: new BedrockError(
+        'Token not found.',
+        'NotFoundError', details)
+    });
   }
   return record;
 }
@@ -244,16 +311,28 @@ export async function updateEntityWithNoValidBatches({
  * change the entity's `minAssuranceForResolution` concurrently, then an
  * error will be thrown indicating a conflicting invalid state.
  *
+ * If `includePinned` is set, then all pinned token batches for the entity
+ * will also be marked as invalid. This is useful, for example, when
+ * responding to an account compromise, as it ensures that no outstanding
+ * token for the entity will resolve. Note that, unlike unpinned token batch
+ * invalidation, this also prevents previously resolved tokens from pinned
+ * token batches from resolving again (unless invalidated tokens are
+ * explicitly allowed).
+ *
  * @param {object} options - Options to use.
  * @param {object} options.entity - The object representing the entity; this
  *   can be fetched from the record returned by `entities.get()`.
+ * @param {boolean} [options.includePinned=false] - Set to `true` to also
+ *   invalidate all pinned token batches.
  *
  * @returns {Promise<boolean>} Returns true if update occurred.
  */
-export async function invalidateBatches({entity} = {}) {
+export async function invalidateBatches({entity, includePinned = false} = {}) {
   // updating the `batchInvalidationCount` on the entity marks all current
-  // unpinned token batches as invalid
-  const updated = await entities._incrementBatchInvalidationCount({entity});
+  // unpinned token batches as invalid; updating `allBatchInvalidationCount`
+  // (when `includePinned` is set) marks all current token batches as invalid
+  const updated = await entities._incrementBatchInvalidationCount(
+    {entity, includePinned});
   if(!updated) {
     throw new BedrockError(
       'Entity state changed concurrently.',
@@ -265,6 +344,57 @@ export async function invalidateBatches({entity} = {}) {
   return true;
 }
 
+/**
+ * Revokes a single token. Once revoked, a token will no longer resolve,
+ * regardless of whether it has already been resolved, and regardless of
+ * whether its token batch is pinned or unpinned. Other tokens from the same
+ * token batch are unaffected. Revocation cannot be undone.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array|string} options.token - The token to revoke, either
+ *   decoded or string-encoded.
+ *
+ * @returns {Promise<boolean>} Returns true if the token was revoked and false
+ *   if it had already been revoked.
+ */
+export async function revoke({token} = {}) {
+  // parse token
+  const {batchId, index} = await _parseToken({token});
+
+  while(true) {
+    // get batch document
+    const {tokenBatch} = await getBatch({id: batchId});
+    const {resolvedList, revokedList: compressed} = tokenBatch;
+
+    // parse existing revoked bitstring or create a new one with a length that
+    // matches the batch's resolved list
+    let revokedList;
+    if(compressed) {
+      revokedList = new Bitstring({
+        buffer: await Bitstring.uncompressBits({compressed})
+      });
+    } else {
+      const {length} = new Bitstring({
+        buffer: await Bitstring.uncompressBits({compressed: resolvedList})
+      });
+      revokedList = new Bitstring({length});
+    }
+    if(revokedList.get(index)) {
+      // already revoked
+      return false;
+    }
+    revokedList.set(index, true);
+
+    const result = await _updateRevokedList({
+      batchId, compressed, revokedList
+    });
+    if(result.modifiedCount !== 0) {
+      return true;
+    }
+    // another process revoked a token concurrently, try again
+  }
+}
+
 export async function updateBatch({
   batchId, compressed, resolvedList, encodedRequester, requesterList,
   explain = false
@@ -294,6 +424,32 @@ export async function updateBatch({
   });
 }
 
+async function _updateRevokedList({
+  batchId, compressed, revokedList, explain = false
+} = {}) {
+  const query = {
+    'tokenBatch.id': batchId,
+    // ensure that no change is applied if another process revoked a token
+    // concurrently; `null` matches batches without a revoked list
+    'tokenBatch.revokedList': compressed ?? null
+  };
+  const collection = database.collections['tokenization-tokenBatch'];
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'updateOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  return collection.updateOne(query, {
+    $set: {
+      'meta.updated': Date.now(),
+      'tokenBatch.revokedList': Buffer.from(await revokedList.compressBits())
+    }
+  });
+}
+
 // export for testing purposes
 export async function _claimTokens({
   tokenBatch, tokenCount, batchInvalidationCount, explain = false
@@ -353,7 +509,8 @@ export async function _claimTokens({
 
 async function _createBatch({
   internalId, batchVersion, tokenCount = 0, batchInvalidationCount,
-  minAssuranceForResolution, externalIdHash, pairwiseTokenExpires
+  allBatchInvalidationCount, minAssuranceForResolution, externalIdHash,
+  pairwiseTokenExpires
 }) {
   // _randomBytesAsync is not declared higher up at the module level to support
   // stubbing `crypto.randomBytes` in the test suite
@@ -407,7 +564,8 @@ async function _createBatch({
   const [record] = await Promise.all([
     _insertBatch({
       id, internalId, batchVersion, tokenCount, minAssuranceForResolution,
-      expires, batchInvalidationCount, pairwiseTokenExpires
+      expires, batchInvalidationCount, allBatchInvalidationCount,
+      pairwiseTokenExpires
     }),
     _refreshDocumentRegistrationsThenSetOpenBatchId({
       externalIdHash, expires, internalId, batchId: id, batchInvalidationCount,
@@ -458,6 +616,13 @@ async function _getOpenBatch({
   any additional checks before issuing tokens from it. This is "Case 0".
   The other cases are below.
 
+  Note: Pinned batches may also be invalidated when all of an entity's token
+  batches are invalidated via its `allBatchInvalidationCount`. Every new
+  token batch is stamped with the `allBatchInvalidationCount` read from the
+  entity record before it was created, so if such an invalidation occurs
+  concurrently, any tokens issued from the new batch will fail to resolve
+  without any additional checks here.
+
   If a token batch inherits `minAssuranceForResolution` from its associated
   entity, then this resolution value changes whenever it is changed on
   on entity. This type of batch is referred to as "unpinned". Since their
@@ -534,13 +699,17 @@ async function _getOpenBatch({
 
   Note: Cases 2 and 3 can be handled by the same general code path. */
 
-  // first get original batch invalidation count; default its value to 0
+  // first get original batch invalidation counts; default their values to 0
   // to cover cases where the entity record does not exist
   let originalBatchInvalidationCount = 0;
+  let allBatchInvalidationCount = 0;
   if(entityRecord) {
-    // get original count from entity record
+    // get original counts from entity record; `allBatchInvalidationCount`
+    // may not be present on older entity records
     originalBatchInvalidationCount =
       entityRecord.entity.batchInvalidationCount;
+    allBatchInvalidationCount =
+      entityRecord.entity.allBatchInvalidationCount ?? 0;
   } else if(!registerPromise) {
     // misuse of the API
     throw new Error(
@@ -574,6 +743,7 @@ async function _getOpenBatch({
   const {tokenBatch} = await _createBatch({
     internalId, batchVersion, tokenCount, minAssuranceForResolution,
     batchInvalidationCount: originalBatchInvalidationCount,
+    allBatchInvalidationCount,
     externalIdHash: entityRecord?.entity.externalIdHash,
     pairwiseTokenExpires
   });
@@ -688,12 +858,18 @@ async function _getUnfilledBatch({
   // if either:
   // 1. no matching record (it must have expired or expiring too soon to use),
   // 2. matching record but version is old (do not continue to fill it),
-  // 3. no tokens left to issue in the batch, or
-  // 4. batch is unpinned and has been invalidated
+  // 3. no tokens left to issue in the batch,
+  // 4. batch is unpinned and has been invalidated, or
+  // 5. batch (pinned or unpinned) has been invalidated along with all of the
+  //   entity's batches
   // ...in all cases, there is no usable open batch
   if(!record ||
     record.tokenBatch.batchVersion !== batchVersion.id ||
     record.tokenBatch.remainingTokenCount === 0 ||
+    // any batch is invalid if its `allBatchInvalidationCount` is less than
+    // the entity's; either value may be missing in older records
+    (record.tokenBatch.allBatchInvalidationCount ?? 0) <
+    (entityRecord.entity.allBatchInvalidationCount ?? 0) ||
     // an unpinned batch (`minAssuranceForResolution === -1`) is invalid if
     // its `batchInvalidationCount` is less than the entity's
     (minAssuranceForResolution === -1 &&
@@ -734,11 +910,12 @@ async function _getUnfilledBatch({
 
 async function _insertBatch({
   id, internalId, batchVersion, tokenCount, batchInvalidationCount,
-  expires, minAssuranceForResolution = -1, pairwiseTokenExpires
+  allBatchInvalidationCount = 0, expires, minAssuranceForResolution = -1,
+  pairwiseTokenExpires
 }) {
   // create bitstring to store whether individual tokens have been
   // revolved or not
-  const resolvedList = EMPTY_RESOLVED_LIST_FOR_MAX_BATCH_SIZE_256;
+  const resolvedList = await _getEmptyResolvedList({batchVersion});
 
   // auto-claim tokens in batch
   const {options: {batchTokenCount}} = batchVersion;
@@ -758,6 +935,7 @@ async function _insertBatch({
       remainingTokenCount,
       expires,
       batchInvalidationCount,
+      allBatchInvalidationCount,
       minAssuranceForResolution,
       pairwiseTokenExpires
     }
@@ -779,6 +957,18 @@ async function _insertBatch({
   return record;
 }
 
+async function _getEmptyResolvedList({batchVersion}) {
+  const {batchResolutionListLength: length} =
+    batchVersions.getIndexOptions({batchVersion});
+  let resolvedList = EMPTY_RESOLVED_LISTS.get(length);
+  if(!resolvedList) {
+    const bs = new Bitstring({length});
+    resolvedList = Buffer.from(await bs.compressBits());
+    EMPTY_RESOLVED_LISTS.set(length, resolvedList);
+  }
+  return resolvedList;
+}
+
 function _getTokenBatchExpires({batchVersion}) {
   /* Note: Entity and document registration expiration records should never be
   treated as expunged prior to associated token batches. External factors could
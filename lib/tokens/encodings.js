@@ -0,0 +1,154 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as base58 from 'base58-universal';
+import * as bedrock from '@bedrock/core';
+import {_setOutcome, OUTCOMES} from '../resolutionEvents.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// RFC 4648 base32 alphabet; it only uses characters from the QR code
+// alphanumeric mode character set, enabling compact QR codes
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BASE32_DECODE_MAP = new Map(
+  [...BASE32_ALPHABET].map((c, i) => [c, i]));
+
+// supported string encodings for tokens; each encoded token is prefixed by
+// its multibase header so that tokens in any encoding can be decoded
+const ENCODINGS = new Map([
+  ['base58btc', {
+    header: 'z',
+    encode: bytes => base58.encode(bytes),
+    decode: s => base58.decode(s)
+  }],
+  ['base64url', {
+    header: 'u',
+    encode: bytes => Buffer.from(bytes).toString('base64url'),
+    decode: s => _decodeBase64Url(s)
+  }],
+  ['base32upper', {
+    header: 'B',
+    encode: bytes => _encodeBase32(bytes),
+    decode: s => _decodeBase32(s)
+  }]
+]);
+const ENCODINGS_BY_HEADER = new Map(
+  [...ENCODINGS.values()].map(encoding => [encoding.header, encoding]));
+
+/**
+ * Encodes a token as a string using the given encoding.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.token - The token to encode.
+ * @param {string} options.encoding - The encoding to use: `base58btc`,
+ *   `base64url`, or `base32upper` (uppercase alphanumeric, suitable for QR
+ *   codes); each encoded token is prefixed with a multibase header.
+ *
+ * @returns {string} The encoded token.
+ */
+export function encode({token, encoding} = {}) {
+  if(!(token instanceof Uint8Array)) {
+    throw new TypeError('"token" must be a Uint8Array.');
+  }
+  assertEncoding({encoding});
+  const {header, encode} = ENCODINGS.get(encoding);
+  return `${header}${encode(token)}`;
+}
+
+/**
+ * Decodes a token that was encoded as a string using any supported encoding.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.token - The encoded token.
+ *
+ * @returns {Uint8Array} The decoded token.
+ */
+export function decode({token} = {}) {
+  if(typeof token !== 'string') {
+    throw new TypeError('"token" must be a string.');
+  }
+  const encoding = ENCODINGS_BY_HEADER.get(token[0]);
+  let decoded;
+  try {
+    if(!encoding) {
+      throw new Error(`Unsupported token encoding header "${token[0]}".`);
+    }
+    decoded = encoding.decode(token.slice(1));
+  } catch(e) {
+    throw _setOutcome({
+      outcome: OUTCOMES.INVALID,
+      error: new BedrockError(
+        'Invalid token.',
+        'DataError', {
+          public: true,
+          httpStatusCode: 400
+        }, e)
+    });
+  }
+  return decoded;
+}
+
+export function assertEncoding({encoding} = {}) {
+  if(!ENCODINGS.has(encoding)) {
+    throw new TypeError(
+      '"encoding" must be one of: ' +
+      `${[...ENCODINGS.keys()].map(s => `"${s}"`).join(', ')}.`);
+  }
+}
+
+function _decodeBase64Url(s) {
+  if(!/^[A-Za-z0-9\-_]*$/.test(s)) {
+    throw new Error('Invalid base64url string.');
+  }
+  const bytes = Buffer.from(s, 'base64url');
+  // reject non-canonical strings (e.g., with nonzero trailing bits) so that
+  // each token has exactly one encoding
+  if(bytes.toString('base64url') !== s) {
+    throw new Error('Non-canonical base64url string.');
+  }
+  return new Uint8Array(bytes);
+}
+
+function _encodeBase32(bytes) {
+  let s = '';
+  let bits = 0;
+  let value = 0;
+  for(const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while(bits >= 5) {
+      s += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if(bits > 0) {
+    s += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return s;
+}
+
+function _decodeBase32(s) {
+  const bytes = new Uint8Array(Math.floor(s.length * 5 / 8));
+  let bits = 0;
+  let value = 0;
+  let offset = 0;
+  for(const c of s) {
+    const index = BASE32_DECODE_MAP.get(c);
+    if(index === undefined) {
+      throw new Error('Invalid base32 string.');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if(bits >= 8) {
+      bytes[offset++] = (value >>> (bits - 8)) & 255;
+      bits -= 8;
+    }
+  }
+  // reject non-canonical strings so that each token has exactly one
+  // encoding: any trailing bits must be zero and fewer than one character's
+  // worth (padding is never used)
+  if(bits >= 5 || (value & ((1 << bits) - 1)) !== 0) {
+    throw new Error('Non-canonical base32 string.');
+  }
+  return bytes;
+}
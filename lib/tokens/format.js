@@ -4,50 +4,117 @@
 import * as base58 from 'base58-universal';
 import * as batchVersions from '../batchVersions.js';
 import * as bedrock from '@bedrock/core';
+import {_setOutcome, OUTCOMES} from '../resolutionEvents.js';
 import {
   decode as cborldDecode, encode as cborldEncode
 } from '@digitalbazaar/cborld';
 import citContext from 'cit-context';
 import {createKek} from './aeskw.js';
 import crypto from 'node:crypto';
+import {decode as decodeToken} from './encodings.js';
+import {LRUCache as LRU} from 'lru-cache';
 import {promisify} from 'node:util';
 import {tokenizers} from '@bedrock/tokenizer';
 
 const {constants: citConstants, documentLoader} = citContext;
 const {CONTEXT_URL: CIT_CONTEXT_URL} = citConstants;
-const {randomBytes, timingSafeEqual} = crypto;
+const {createHmac, hkdf, randomBytes, timingSafeEqual} = crypto;
+const hkdfAsync = promisify(hkdf);
 const randomBytesAsync = promisify(randomBytes);
 const {util: {BedrockError}} = bedrock;
 
 const VERSION_SIZE = 2;
+// size of the field that stores the total size of any token extensions
+const EXTENSIONS_SIZE_SIZE = 2;
+// token extension types; each extension is encoded as type (1 byte), value
+// length (1 byte), and value, and extensions may only be used with batch
+// versions that use the `extended` payload format
+const EXTENSION_TYPES = {
+  // token expiration time in seconds since the epoch as a uint32
+  expires: 1,
+  // token activation time in seconds since the epoch as a uint32
+  notBefore: 2,
+  // attributes that, unlike cleartext attributes, are only readable by
+  // unwrapping the token payload (max 255 bytes)
+  secretAttributes: 3,
+  // keyed hash of the only requester that may resolve the token
+  audience: 4
+};
+// size of an audience hash; the hash is keyed by the token's batch ID so
+// that the same audience never has the same hash in different token batches
+const AUDIENCE_HASH_SIZE = 16;
+const AUDIENCE_HASH_PREFIX = new TextEncoder().encode('audience:');
+const KEK_ROOT_INFO = new TextEncoder().encode('kek-root');
+
+// this cache holds promises for key material used to create KEKs; for batch
+// versions that use `hkdf` KEK derivation the keys are per-version root keys
+// (one HMAC per batch version) and for legacy `hmac` KEK derivation the keys
+// are per-token KEKs (which are only cached when parsing tokens so that
+// repeated resolutions of the same token do not call the HMAC API); cache
+// keys are prefixed by the KEK derivation scheme so there is no possibility
+// of a keyspace collision
+let KEK_CACHE;
+
+bedrock.events.on('bedrock.init', () => {
+  const {kekCache} = bedrock.config.tokenization;
+  KEK_CACHE = new LRU(kekCache);
+});
 
 export async function create({
-  hmac, batchVersion, tokenBatch, index, attributes
+  hmac, batchVersion, tokenBatch, index, attributes, expires, notBefore,
+  secretAttributes, audience
 } = {}) {
   const batchId = tokenBatch.id;
 
   // get version options
   const {id: version, options: {batchIdSize, batchSaltSize}} = batchVersion;
+  const {batchIndexSize} = batchVersions.getIndexOptions({batchVersion});
+  const extended = batchVersions.getPayloadFormat(
+    {batchVersion}) === 'extended';
+
+  // encode any token extensions
+  const audienceHash = audience === undefined ?
+    undefined : _hashAudience({batchId, audience});
+  const extensions = _encodeExtensions(
+    {expires, notBefore, secretAttributes, audienceHash});
+  if(extensions.length > 0 && !extended) {
+    throw new Error(
+      'Token extensions require a batch version with an "extended" ' +
+      'payload format.');
+  }
 
-  // build data to encrypt/wrap: batchId|index|aad|padding
+  // build data to encrypt/wrap: batchId|index|aad|padding or, for the
+  // `extended` payload format, batchId|index|extensionsSize|extensions|aad|
+  // padding
   // minimum total = 192-bits, 24 bytes, but can be larger, must be
   // 24 + (n*8) bytes, where n >= 0
   // "aad" is additional authenticated data which is aka "attributes"
   // Note: minimum size is 24 bytes, max is unlimited; size depends on the
-  // size of the attributes
-  const unwrappedSize = _roundToMultipleOf8(
-    batchIdSize + 1 + attributes.length);
+  // size of the attributes (and any extensions)
+  const headerSize = batchIdSize + batchIndexSize +
+    (extended ? EXTENSIONS_SIZE_SIZE + extensions.length : 0);
+  const unwrappedSize = _roundToMultipleOf8(headerSize + attributes.length);
   const toWrap = new Uint8Array(unwrappedSize);
   let offset = 0;
   // batch ID, `batchIdSize`, default is 16 bytes
   toWrap.set(batchId, offset);
-  // index, 1 byte
-  toWrap[offset += batchId.length] = index;
+  // index, `batchIndexSize`, default is 1 byte
+  _writeIndex({
+    bytes: toWrap, offset: offset += batchId.length, index, batchIndexSize
+  });
+  offset += batchIndexSize;
+  if(extended) {
+    // extensions size, 2 byte uint16, followed by the extensions
+    new DataView(toWrap.buffer, toWrap.byteOffset, toWrap.length)
+      .setUint16(offset, extensions.length);
+    toWrap.set(extensions, offset += EXTENSIONS_SIZE_SIZE);
+    offset += extensions.length;
+  }
   // attributes (unlimited size, but affects token size, largest it can be
   // without growing the token is 7 bytes, every multiple of 8 thereafter
   // increases the token size by 8), attributes also travel in the
   // clear in the token and their size within the wrapped data must match
-  toWrap.set(attributes, offset += 1);
+  toWrap.set(attributes, offset);
   // random padding for remaining bytes
   offset += attributes.length;
   const padding = await randomBytesAsync(toWrap.length - offset);
@@ -56,8 +123,9 @@ export async function create({
   // generate salt based on token version options
   const salt = await randomBytesAsync(batchSaltSize);
 
-  // create KEK via HMAC(batchVersion|salt)
-  const kek = await _getKek({hmac, version, salt});
+  // create KEK via HMAC(batchVersion|salt) or, if the batch version uses
+  // `hkdf` KEK derivation, via HKDF(HMAC(batchVersion|"kek-root"), salt)
+  const kek = await _getKek({hmac, batchVersion, salt});
 
   // wrap `toWrap` as if it were a key, output is 8 more bytes than input
   // per AES-KW spec
@@ -98,12 +166,110 @@ export async function create({
   return token;
 }
 
+// Note: `expires` is not enforced when parsing so that expired tokens may
+// still be revoked or inspected internally; resolution enforces it
 export async function parse({token}) {
+  return _parse({token});
+}
+
+/**
+ * Determines whether a parsed token has expired.
+ *
+ * @param {object} options - Options to use.
+ * @param {Date} [options.expires] - The parsed token's expiration time, if
+ *   any.
+ *
+ * @returns {boolean} `true` if the token has expired.
+ */
+export function isExpired({expires} = {}) {
+  return !!expires && Date.now() > expires;
+}
+
+/**
+ * Determines whether `requester` is the audience of a parsed token, i.e.,
+ * whether the token has no audience or its audience hash matches the hash
+ * of `requester`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.batchId - The parsed token's batch ID.
+ * @param {Uint8Array} [options.audienceHash] - The parsed token's audience
+ *   hash, if any.
+ * @param {string} options.requester - The requester to check.
+ *
+ * @returns {boolean} `true` if `requester` may resolve the token.
+ */
+export function isAudience({batchId, audienceHash, requester} = {}) {
+  if(audienceHash === undefined) {
+    return true;
+  }
+  const expected = _hashAudience({batchId, audience: requester});
+  return timingSafeEqual(expected, audienceHash);
+}
+
+/**
+ * Inspects a token, reporting the information that can be read from it
+ * without access to the database or the tokenizer's HMAC API. If
+ * `authenticate` is set, the token's payload is also unwrapped (which
+ * requires both) to report the token's index within its batch and whether
+ * the token is authentic; the token's batch ID is never reported.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array|string} options.token - The token to inspect, either
+ *   decoded or string-encoded.
+ * @param {boolean} [options.authenticate=false] - Set to `true` to unwrap
+ *   and authenticate the token's payload.
+ *
+ * @returns {Promise<object>} An object with `valid` set to whether the token
+ *   is structurally valid (and authentic, if `authenticate` is set), `error`
+ *   set to the reason the token is invalid, if it is, `batchVersionId`, and
+ *   cleartext `attributes`; if `authenticate` is set, `tokenizerId`, `index`,
+ *   `expires`, `notBefore`, and `expired` are also reported for authentic
+ *   tokens.
+ */
+export async function inspect({token, authenticate = false} = {}) {
+  if(!(token instanceof Uint8Array || typeof token === 'string')) {
+    throw new TypeError('"token" must be a Uint8Array or a string.');
+  }
+
+  let envelope;
+  try {
+    envelope = await _decodeEnvelope({token});
+  } catch(error) {
+    return {valid: false, error};
+  }
+  const {version: batchVersionId, attributes} = envelope;
+  const result = {valid: true, batchVersionId, attributes};
+  if(!authenticate) {
+    return result;
+  }
+
+  try {
+    const {
+      batchVersion, index, expires, notBefore
+    } = await _parse({token, envelope});
+    result.tokenizerId = batchVersion.tokenizerId;
+    result.index = index;
+    result.expires = expires;
+    result.notBefore = notBefore;
+    result.expired = isExpired({expires});
+  } catch(error) {
+    result.valid = false;
+    result.error = error;
+  }
+  return result;
+}
+
+async function _decodeEnvelope({token}) {
+  // decode string-encoded token
+  if(typeof token === 'string' && token.length > 0) {
+    token = decodeToken({token});
+  }
+
   // validate token
   if(!(token instanceof Uint8Array && token.length >= VERSION_SIZE)) {
     throw new TypeError(
       `"token" must be a Uint8Array that is ${VERSION_SIZE} bytes ` +
-      'or more in size.');
+      'or more in size or a string-encoded token.');
   }
 
   // parse token via cborld
@@ -133,50 +299,56 @@ export async function parse({token}) {
     } else {
       parsed.attributes = new Uint8Array();
     }
+    if(parsed.payload.length < VERSION_SIZE) {
+      throw new Error('Invalid token payload size.');
+    }
   } catch(e) {
-    throw new BedrockError(
-      'Invalid token.',
-      'DataError', {
-        public: true,
-        httpStatusCode: 400
-      }, e);
+    throw _createInvalidTokenError(e);
   }
 
   // parse batch version from token payload
-  const {payload, attributes} = parsed;
+  const {payload} = parsed;
   const dv = new DataView(payload.buffer, payload.byteOffset, payload.length);
-  const version = dv.getUint16(0);
+  parsed.version = dv.getUint16(0);
+  return parsed;
+}
+
+async function _parse({token, envelope}) {
+  // decode token envelope if not already decoded
+  const {payload, attributes, version} = envelope ??
+    await _decodeEnvelope({token});
 
   // get token version by `version` ID
   const {batchVersion} = await batchVersions.get({id: version});
   const {options: {batchIdSize, batchSaltSize}} = batchVersion;
+  const {batchIndexSize} = batchVersions.getIndexOptions({batchVersion});
+  const extended = batchVersions.getPayloadFormat(
+    {batchVersion}) === 'extended';
 
   // validate payload size is correct given the batch version
   // payload will contain: batchVersion|salt|wrapped
   // batchVersion = 2 bytes
   // salt = batchSaltSize bytes
-  // wrapped = _roundToMultipleOf8(batchIdSize + 1(batchIndex) +
+  // wrapped = _roundToMultipleOf8(batchIdSize + batchIndexSize +
   //   attributes.length) + 8
   // Note: `batchVersion` and `salt` map to crypto used to generate a key and
   // will therefore be authenticated via key unwrapping. The `attributes` can
   // be compared against the unwrapped attributes to be integrity checked
-  const wrappedSize = _roundToMultipleOf8(
-    batchIdSize + 1 + attributes.length) + 8;
-  const payloadSize = VERSION_SIZE + batchSaltSize + wrappedSize;
-  if(payload.length !== payloadSize) {
-    const cause = new BedrockError(
-      'Token payload size mismatch.',
-      'DataError', {
-        public: false,
-        actual: payload.length,
-        expected: payloadSize
-      });
-    throw new BedrockError(
-      'Invalid token.',
-      'DataError', {
-        public: true,
-        httpStatusCode: 400
-      }, cause);
+  // Note: For the `extended` payload format, the size of the extensions is
+  // not known until the payload is unwrapped, so only the minimum size of
+  // `wrapped` is checked here and its exact size is checked after unwrapping
+  const headerSize = batchIdSize + batchIndexSize +
+    (extended ? EXTENSIONS_SIZE_SIZE : 0);
+  const minWrappedSize = _roundToMultipleOf8(
+    headerSize + attributes.length) + 8;
+  const wrappedSize = payload.length - VERSION_SIZE - batchSaltSize;
+  if(!(extended ?
+    (wrappedSize >= minWrappedSize && wrappedSize % 8 === 0) :
+    wrappedSize === minWrappedSize)) {
+    throw _createSizeMismatchError({
+      actual: payload.length,
+      expected: VERSION_SIZE + batchSaltSize + minWrappedSize
+    });
   }
 
   // parse `salt` and `wrapped` from `payload`
@@ -189,8 +361,9 @@ export async function parse({token}) {
   const tokenizer = await tokenizers.get({id: batchVersion.tokenizerId});
   const {hmac} = tokenizer;
 
-  // create KEK via HMAC(version|salt)
-  const kek = await _getKek({hmac, version, salt});
+  // create KEK via HMAC(version|salt) or HKDF per the batch version; cache
+  // any key material to avoid HMAC calls for repeated token resolutions
+  const kek = await _getKek({hmac, batchVersion, salt, cache: true});
 
   // unwrap `wrapped` as if it were a key
   let unwrapped;
@@ -200,24 +373,42 @@ export async function parse({token}) {
       throw new Error('Decryption failed.');
     }
   } catch(e) {
-    throw new BedrockError(
-      'Invalid token.',
-      'DataError', {
-        public: true,
-        httpStatusCode: 400
-      }, e);
+    throw _createInvalidTokenError(e);
   }
 
   // at this point, unwrapped is authenticated
   // next, determine if full token is valid
 
-  // parse unwrapped: batchId|index|aad|padding
+  // parse unwrapped: batchId|index|aad|padding or, for the `extended`
+  // payload format, batchId|index|extensionsSize|extensions|aad|padding
   offset = unwrapped.byteOffset;
   const batchId = Buffer.from(unwrapped.buffer, offset, batchIdSize);
-  const index = unwrapped[batchIdSize];
+  const index = _readIndex(
+    {bytes: unwrapped, offset: batchIdSize, batchIndexSize});
+  let aadOffset = batchIdSize + batchIndexSize;
+  let extensions = {};
+  if(extended) {
+    const extensionsSize = new DataView(
+      unwrapped.buffer, offset, unwrapped.length).getUint16(aadOffset);
+    aadOffset += EXTENSIONS_SIZE_SIZE;
+    // unwrapped data must be exactly large enough for the extensions
+    const expectedSize = _roundToMultipleOf8(
+      aadOffset + extensionsSize + attributes.length);
+    if(unwrapped.length !== expectedSize) {
+      throw _createSizeMismatchError({
+        actual: payload.length,
+        expected: VERSION_SIZE + batchSaltSize + expectedSize + 8
+      });
+    }
+    extensions = _decodeExtensions({
+      bytes: new Uint8Array(
+        unwrapped.buffer, offset + aadOffset, extensionsSize)
+    });
+    aadOffset += extensionsSize;
+  }
   // time-safe compare `aad` against given attributes
   const toCompare = new Uint8Array(
-    unwrapped.buffer, offset + batchIdSize + 1, attributes.length);
+    unwrapped.buffer, offset + aadOffset, attributes.length);
   if(!timingSafeEqual(toCompare, attributes)) {
     // cleartext attributes are not authenticated
     const cause = new BedrockError(
@@ -225,29 +416,212 @@ export async function parse({token}) {
       'DataError', {
         public: false
       });
-    throw new BedrockError(
+    throw _createInvalidTokenError(cause);
+  }
+
+  // Note: `notBefore` is not enforced when parsing so that tokens that are
+  // not yet active may still be resolved internally; `resolve` enforces it
+  const {
+    expires, notBefore, secretAttributes = new Uint8Array(), audienceHash
+  } = extensions;
+
+  return {
+    batchVersion, tokenizer, batchId, index, attributes, expires, notBefore,
+    secretAttributes, audienceHash
+  };
+}
+
+function _createSizeMismatchError({actual, expected}) {
+  const cause = new BedrockError(
+    'Token payload size mismatch.',
+    'DataError', {
+      public: false,
+      actual,
+      expected
+    });
+  return _createInvalidTokenError(cause);
+}
+
+function _createInvalidTokenError(cause) {
+  return _setOutcome({
+    outcome: OUTCOMES.INVALID,
+    error: new BedrockError(
       'Invalid token.',
       'DataError', {
         public: true,
         httpStatusCode: 400
-      }, cause);
+      }, cause)
+  });
+}
+
+function _decodeExtensions({bytes}) {
+  const extensions = {};
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  let offset = 0;
+  try {
+    while(offset < bytes.length) {
+      const type = bytes[offset];
+      const length = bytes[offset + 1];
+      offset += 2;
+      if(offset + length > bytes.length) {
+        throw new Error('Token extension exceeds extensions size.');
+      }
+      const name = _getTimeExtensionName({type});
+      if(name && length === 4 && extensions[name] === undefined) {
+        extensions[name] = new Date(dv.getUint32(offset) * 1000);
+      } else if(type === EXTENSION_TYPES.secretAttributes &&
+        extensions.secretAttributes === undefined) {
+        extensions.secretAttributes = bytes.slice(offset, offset + length);
+      } else if(type === EXTENSION_TYPES.audience &&
+        length === AUDIENCE_HASH_SIZE &&
+        extensions.audienceHash === undefined) {
+        extensions.audienceHash = bytes.slice(offset, offset + length);
+      } else {
+        // unknown, malformed, or duplicate extensions cannot be enforced
+        throw new Error(`Invalid token extension type "${type}".`);
+      }
+      offset += length;
+    }
+  } catch(e) {
+    throw _createInvalidTokenError(e);
+  }
+  return extensions;
+}
+
+function _encodeExtensions({
+  expires, notBefore, secretAttributes, audienceHash
+}) {
+  const extensions = [];
+  if(expires !== undefined) {
+    // expiration is stored with a precision of seconds, rounding down
+    extensions.push({
+      type: EXTENSION_TYPES.expires,
+      value: _encodeTime({seconds: Math.floor(expires.getTime() / 1000)})
+    });
+  }
+  if(notBefore !== undefined) {
+    // activation is stored with a precision of seconds, rounding up
+    extensions.push({
+      type: EXTENSION_TYPES.notBefore,
+      value: _encodeTime({seconds: Math.ceil(notBefore.getTime() / 1000)})
+    });
+  }
+  if(secretAttributes?.length > 0) {
+    extensions.push({
+      type: EXTENSION_TYPES.secretAttributes,
+      value: secretAttributes
+    });
+  }
+  if(audienceHash !== undefined) {
+    extensions.push({type: EXTENSION_TYPES.audience, value: audienceHash});
+  }
+  const size = extensions.reduce((size, {value}) => size + 2 + value.length, 0);
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for(const {type, value} of extensions) {
+    bytes[offset] = type;
+    bytes[offset + 1] = value.length;
+    bytes.set(value, offset += 2);
+    offset += value.length;
   }
+  return bytes;
+}
 
-  // token authenticated
-  return {batchVersion, tokenizer, batchId, index, attributes};
+function _encodeTime({seconds}) {
+  if(!(seconds >= 0 && seconds <= 0xFFFFFFFF)) {
+    throw new RangeError('Token extension time is out of range.');
+  }
+  const value = new Uint8Array(4);
+  new DataView(value.buffer).setUint32(0, seconds);
+  return value;
 }
 
-async function _getKek({hmac, version, salt}) {
-  // create KEK via HMAC(version|salt)
-  const data = new Uint8Array(VERSION_SIZE + salt.length);
-  const dv = new DataView(data.buffer, data.byteOffset, data.length);
-  dv.setUint16(0, version);
-  data.set(salt, VERSION_SIZE);
-  // use hash signature as `key` for wrapping `toWrap`
-  const keyData = await hmac.sign({data});
+function _hashAudience({batchId, audience}) {
+  // HMAC(batchId, "audience:"|audience), truncated
+  const data = new TextEncoder().encode(audience);
+  return new Uint8Array(createHmac('sha256', batchId)
+    .update(AUDIENCE_HASH_PREFIX)
+    .update(data)
+    .digest()
+    .subarray(0, AUDIENCE_HASH_SIZE));
+}
+
+function _getTimeExtensionName({type}) {
+  if(type === EXTENSION_TYPES.expires) {
+    return 'expires';
+  }
+  if(type === EXTENSION_TYPES.notBefore) {
+    return 'notBefore';
+  }
+}
+
+async function _getKek({hmac, batchVersion, salt, cache = false}) {
+  const {id: version, options: {batchKekDerivation = 'hmac'}} = batchVersion;
+  if(batchKekDerivation === 'hkdf') {
+    // derive KEK locally from the batch version's root key using the salt
+    const rootKey = await _getCachedKeyData({
+      cacheKey: `hkdf:${version}`,
+      fn: () => _hmacVersion({hmac, version, data: KEK_ROOT_INFO})
+    });
+    const info = new Uint8Array(VERSION_SIZE);
+    new DataView(info.buffer).setUint16(0, version);
+    const keyData = Buffer.from(
+      await hkdfAsync('sha256', rootKey, salt, info, 32));
+    return createKek({keyData});
+  }
+
+  // legacy KEK derivation: create KEK via HMAC(version|salt)
+  const fn = () => _hmacVersion({hmac, version, data: salt});
+  const keyData = cache ? await _getCachedKeyData({
+    cacheKey: `hmac:${version}:${Buffer.from(salt).toString('base64url')}`,
+    fn
+  }) : await fn();
   return createKek({keyData});
 }
 
+async function _getCachedKeyData({cacheKey, fn}) {
+  // cache promises so that concurrent callers share a single HMAC call
+  let promise = KEK_CACHE.get(cacheKey);
+  if(!promise) {
+    promise = fn();
+    KEK_CACHE.set(cacheKey, promise);
+    promise.catch(() => {
+      // do not cache failures
+      if(KEK_CACHE.get(cacheKey) === promise) {
+        KEK_CACHE.delete(cacheKey);
+      }
+    });
+  }
+  return promise;
+}
+
+async function _hmacVersion({hmac, version, data}) {
+  // HMAC(version|data)
+  const toSign = new Uint8Array(VERSION_SIZE + data.length);
+  const dv = new DataView(toSign.buffer, toSign.byteOffset, toSign.length);
+  dv.setUint16(0, version);
+  toSign.set(data, VERSION_SIZE);
+  // use hash signature as `key` for wrapping or for deriving KEKs
+  return hmac.sign({data: toSign});
+}
+
+// token index is stored as a big endian unsigned integer of `batchIndexSize`
+// bytes; a size of 1 byte matches the format used by legacy batch versions
+function _readIndex({bytes, offset, batchIndexSize}) {
+  let index = 0;
+  for(let i = 0; i < batchIndexSize; ++i) {
+    index = index * 256 + bytes[offset + i];
+  }
+  return index;
+}
+
+function _writeIndex({bytes, offset, index, batchIndexSize}) {
+  for(let i = batchIndexSize - 1; i >= 0; --i) {
+    bytes[offset + i] = index & 0xFF;
+    index >>>= 8;
+  }
+}
+
 function _roundToMultipleOf8(x) {
   return Math.ceil(x / 8) * 8;
 }
@@ -10,20 +10,30 @@ import {tokenizers} from '@bedrock/tokenizer';
 
 // expose public functions
 export {
-  resolve, resolveToEntity, resolveToInternalId, resolvePairwiseToken
+  getResolutionMeta, resolve, resolveMany, resolveToEntity,
+  resolveToInternalId, resolvePairwiseToken
 } from './resolve.js';
 export {
   invalidateBatches as invalidateTokenBatches,
+  revoke,
   updateEntityWithNoValidBatches as updateEntityWithNoValidTokenBatches
 } from './batches.js';
+export {
+  decode as decodeToken, encode as encodeToken
+} from './encodings.js';
+export {verify as verifyResolutionAssertion} from './assertions.js';
+export {inspect} from './format.js';
 export {
   get as getPairwiseToken,
+  getResolutionSummary,
+  rotate as rotatePairwiseTokens,
   upsert as upsertPairwiseToken
 } from './pairwise.js';
 
 // re-export functions for testing
 export {
-  _claimTokens, getBatch as _getBatch, updateBatch as _updateBatch
+  _claimTokens, createTokens as _createTokens, getBatch as _getBatch,
+  updateBatch as _updateBatch
 } from './batches.js';
 
 /**
@@ -80,15 +90,40 @@ export {
  * @param {number} [options.minAssuranceForResolution=2] - Minimum level of
  *   assurance required for token resolution. To use an unpinned token batch,
  *   pass `-1`.
+ * @param {number} [options.ttl] - The number of milliseconds the created
+ *   tokens will be valid for; by default, tokens are valid until their batch
+ *   expires, which means a token may live for as little as half of the batch
+ *   TTL; a `ttl` may only shorten a token's lifetime and requires that the
+ *   current batch version use the `extended` payload format.
+ * @param {Date} [options.notBefore] - The time before which the created
+ *   tokens cannot be resolved via `resolve`; requires that the current batch
+ *   version use the `extended` payload format.
+ * @param {Uint8Array} [options.secretAttributes] - Attributes, up to 255
+ *   bytes in size, that will be encoded in each token such that they can
+ *   only be read by this system (they are returned when resolving a token);
+ *   requires that the current batch version use the `extended` payload
+ *   format; secret attributes, plus 2 bytes of overhead, increase the token
+ *   size in the same way as `attributes`.
+ * @param {string} [options.audience] - The only requester that may resolve
+ *   the created tokens via `resolve`; a keyed hash of the audience is stored
+ *   in each token, increasing its size in the same way as 18 bytes of
+ *   `attributes`; requires that the current batch version use the `extended`
+ *   payload format.
+ * @param {string} [options.encoding] - An optional string encoding for the
+ *   created tokens: `base58btc`, `base64url`, or `base32upper` (uppercase
+ *   alphanumeric, suitable for QR codes); if not given, tokens are returned
+ *   as Uint8Arrays.
  *
  * @returns {object} An object with `tokens` as an array of created tokens.
  */
 export async function create({
   internalId, attributes = new Uint8Array(), tokenCount,
-  minAssuranceForResolution = 2
+  minAssuranceForResolution = 2, ttl, notBefore, secretAttributes, audience,
+  encoding
 } = {}) {
   return _createTokens({
-    internalId, attributes, tokenCount, minAssuranceForResolution
+    internalId, attributes, tokenCount, minAssuranceForResolution, ttl,
+    notBefore, secretAttributes, audience, encoding
   });
 }
 
@@ -114,18 +149,39 @@ export async function create({
  * @param {number} [options.minAssuranceForResolution=2] - Minimum level of
  *   assurance required for token resolution. To use an unpinned token batch,
  *   pass `-1`.
+ * @param {Date} [options.notBefore] - The time before which the created
+ *   tokens cannot be resolved via `resolve`; requires that the current batch
+ *   version use the `extended` payload format.
+ * @param {Uint8Array} [options.secretAttributes] - Attributes, up to 255
+ *   bytes in size, that will be encoded in each token such that they can
+ *   only be read by this system (they are returned when resolving a token);
+ *   requires that the current batch version use the `extended` payload
+ *   format; secret attributes, plus 2 bytes of overhead, increase the token
+ *   size in the same way as `attributes`.
+ * @param {string} [options.audience] - The only requester that may resolve
+ *   the created tokens via `resolve`; a keyed hash of the audience is stored
+ *   in each token, increasing its size in the same way as 18 bytes of
+ *   `attributes`; requires that the current batch version use the `extended`
+ *   payload format.
+ * @param {string} [options.encoding] - An optional string encoding for the
+ *   created tokens: `base58btc`, `base64url`, or `base32upper` (uppercase
+ *   alphanumeric, suitable for QR codes); if not given, tokens are returned
+ *   as Uint8Arrays.
  *
  * @returns {Promise<object>} An object with `registrationRecord` as the
  *   resulting registration record and `tokens` as an array of created tokens.
  */
 export async function registerDocumentAndCreate({
   registerOptions, attributes = new Uint8Array(), tokenCount,
-  minAssuranceForResolution = 2
+  minAssuranceForResolution = 2, notBefore, secretAttributes, audience,
+  encoding
 } = {}) {
   assert.object(registerOptions, 'registerOptions');
   assertTtl({ttl: registerOptions.ttl});
   assert.number(tokenCount, 'tokenCount');
   assert.optionalNumber(minAssuranceForResolution, 'minAssuranceForResolution');
+  assert.optionalDate(notBefore, 'notBefore');
+  assert.optionalString(audience, 'audience');
 
   /* Note: This function will attempt to concurrently register a document
   and create some number of tokens. It exists as an optimization for common
@@ -217,8 +273,9 @@ export async function registerDocumentAndCreate({
       registerPromise,
       _createTokens({
         internalId, attributes, tokenCount, minAssuranceForResolution,
-        tokenizer, batchVersion, registerPromise, registerOptions,
-        newRegistration
+        notBefore, secretAttributes, audience, encoding, tokenizer,
+        batchVersion,
+        registerPromise, registerOptions, newRegistration
       })
     ]);
 
@@ -3,20 +3,61 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
 import {IdGenerator} from 'bnid';
+import {tokenizers} from '@bedrock/tokenizer';
 
 const {util: {BedrockError}} = bedrock;
 
 // 128 bit random id generator
 const idGenerator = new IdGenerator({bitLength: 128});
 
+// max number of pairwise tokens updated per database call when rotating
+const ROTATION_BATCH_SIZE = 100;
+
+const PAIRWISE_TOKEN_MODES = ['stored', 'derived'];
+const PAIRWISE_TOKEN_SIZE = 16;
+const DERIVE_PREFIX = new TextEncoder().encode('pairwise:');
+const EPOCH_SIZE = 4;
+// pairwise scope prefixes; see `getScope()`
+const SECTOR_SCOPE_PREFIX = 'sector:';
+const REQUESTER_SCOPE_PREFIX = 'requester:';
+
+bedrock.events.on('bedrock.init', () => {
+  const {pairwiseTokenMode} = bedrock.config.tokenization;
+  if(!PAIRWISE_TOKEN_MODES.includes(pairwiseTokenMode)) {
+    throw new TypeError(
+      '"bedrock.config.tokenization.pairwiseTokenMode" must be one of: ' +
+      `${PAIRWISE_TOKEN_MODES.map(m => `"${m}"`).join(', ')}.`);
+  }
+  _assertDerivationTokenizerId();
+  const {pairwiseTokenEpochLength} = bedrock.config.tokenization;
+  if(!(Number.isInteger(pairwiseTokenEpochLength) &&
+    pairwiseTokenEpochLength >= 0)) {
+    throw new TypeError(
+      '"bedrock.config.tokenization.pairwiseTokenEpochLength" must be a ' +
+      'non-negative integer.');
+  }
+
+  const {requesterSectors} = bedrock.config.tokenization;
+  for(const sector of Object.values(requesterSectors)) {
+    if(typeof sector !== 'string') {
+      throw new TypeError(
+        '"bedrock.config.tokenization.requesterSectors" values must be ' +
+        'strings.');
+    }
+  }
+});
+
 bedrock.events.on('bedrock-mongodb.ready', async () => {
   await database.openCollections(['tokenization-pairwiseToken']);
 
   const indexes = [{
     // `internalId` is a shard key for the pairwise token collection as some
     // resolution parties may resolve most tokens in the system so using the
-    // resolution `requester` as a shard key would not shard data well
+    // resolution `requester` as a shard key would not shard data well; note
+    // that `pairwiseToken.requester` stores the pairwise scope, which is
+    // the requester's sector, if it has one, or the requester itself
     collection: 'tokenization-pairwiseToken',
     fields: {
       'pairwiseToken.internalId': 1,
@@ -25,6 +66,19 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     options: {unique: true}
   }];
 
+  // optionally allow lookups by scope alone in order to rotate every
+  // pairwise token issued to a requester; these lookups only occur when a
+  // requester's pairwise tokens need to be rotated (e.g., its database has
+  // leaked) and will use scatter-gather queries in a sharded system
+  const {ensurePairwiseTokenRequesterIndex} = bedrock.config.tokenization;
+  if(ensurePairwiseTokenRequesterIndex) {
+    indexes.push({
+      collection: 'tokenization-pairwiseToken',
+      fields: {'pairwiseToken.requester': 1},
+      options: {unique: false}
+    });
+  }
+
   // optionally allow lookups by pairwise token value; these lookups in a
   // sharded system will use scatter-gather queries where every shard is hit
   // with a request for the pairwise token value and only one shard will return
@@ -36,6 +90,16 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
       collection: 'tokenization-pairwiseToken',
       fields: {'pairwiseToken.value': 1},
       options: {unique: false}
+    }, {
+      // previous values are only present on rotated pairwise tokens
+      collection: 'tokenization-pairwiseToken',
+      fields: {'pairwiseToken.previousValue': 1},
+      options: {
+        partialFilterExpression: {
+          'pairwiseToken.previousValue': {$exists: true}
+        },
+        unique: false
+      }
     });
   }
 
@@ -60,14 +124,14 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
 });
 
 export async function get({
-  internalId, requester, value, explain = false
+  internalId, requester, value, previousValue, explain = false
 } = {}) {
   const query = {};
   if(internalId !== undefined) {
     query['pairwiseToken.internalId'] = internalId;
   }
   if(requester !== undefined) {
-    query['pairwiseToken.requester'] = requester;
+    query['pairwiseToken.requester'] = getScope({requester});
   }
   if(value !== undefined) {
     // pairwise token value index must be enabled if `internalId` is not given
@@ -85,6 +149,22 @@ export async function get({
     }
     query['pairwiseToken.value'] = Buffer.from(value);
   }
+  if(previousValue !== undefined) {
+    // previous values can only be looked up when values can be
+    const {ensurePairwiseTokenValueIndex} = bedrock.config.tokenization;
+    if(!ensurePairwiseTokenValueIndex) {
+      throw new BedrockError(
+        'Queries by pairwise token value are not allowed because the ' +
+        'pairwise token value index is not enabled.', {
+          name: 'NotAllowedError',
+          details: {
+            httpStatusCode: 500,
+            public: true
+          }
+        });
+    }
+    query['pairwiseToken.previousValue'] = Buffer.from(previousValue);
+  }
   const projection = {_id: 0};
   const collection = database.collections['tokenization-pairwiseToken'];
 
@@ -104,6 +184,11 @@ export async function get({
       record = null;
     }
   }
+  if(record && previousValue !== undefined &&
+    !(new Date() < record.pairwiseToken.previousValueExpires)) {
+    // previous value is past its rotation overlap period
+    record = null;
+  }
   if(!record) {
     const details = {
       httpStatusCode: 404,
@@ -140,7 +225,16 @@ export async function upsert({
         if(updateResult instanceof Error) {
           throw updateResult;
         }
-        return record;
+        if(isCurrentEpoch({record})) {
+          return record;
+        }
+        // pairwise token is from a previous epoch, replace its value
+        const newRecord = await _startEpoch({record});
+        if(newRecord) {
+          return newRecord;
+        }
+        // pairwise token changed concurrently, loop to get it
+        continue;
       } catch(e) {
         if(e.name !== 'NotFoundError') {
           throw e;
@@ -164,6 +258,343 @@ export async function upsert({
   }
 }
 
+/**
+ * Gets a summary of the requesters that have resolved an entity's tokens,
+ * e.g., to show to the entity's holder. The summary is built from the
+ * entity's stored pairwise tokens: each requester is reported with the times
+ * that its pairwise token was created, last updated, and expires; pairwise
+ * token values are never reported. Requesters that have been mapped to a
+ * sector are reported via `sector`, the sector identifier, instead of
+ * `requester`. Derived pairwise tokens (see
+ * `bedrock.config.tokenization.pairwiseTokenMode`) are not stored, so a
+ * `NotSupportedError` is thrown in `derived` mode; use
+ * `resolutionEvents.query()` instead.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.internalId - The internal ID of the entity.
+ * @param {boolean} [options.explain] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with an object with
+ *   `requesters`, an array of objects with either `requester` or `sector`,
+ *   `created`, `updated`, and, if the pairwise token expires, `expires`, or
+ *   an ExplainObject if `explain=true`.
+ */
+export async function getResolutionSummary({
+  internalId, explain = false
+} = {}) {
+  assert.buffer(internalId, 'internalId');
+  if(bedrock.config.tokenization.pairwiseTokenMode === 'derived') {
+    throw new BedrockError(
+      'Derived pairwise tokens cannot be used to get a resolution summary.',
+      'NotSupportedError', {
+        public: true,
+        httpStatusCode: 400
+      });
+  }
+  const query = {'pairwiseToken.internalId': internalId};
+  const projection = {
+    _id: 0,
+    meta: 1,
+    'pairwiseToken.requester': 1,
+    'pairwiseToken.expires': 1
+  };
+  const collection = database.collections['tokenization-pairwiseToken'];
+
+  if(explain) {
+    const cursor = await collection.find(query, {projection});
+    return cursor.explain('executionStats');
+  }
+
+  const records = await collection.find(query, {projection}).toArray();
+  // explicitly check `expires` against current time to handle cases where
+  // the database records just haven't been expunged yet
+  const now = new Date();
+  const requesters = [];
+  for(const {meta, pairwiseToken: {requester: scope, expires}} of records) {
+    if(expires !== undefined && now > expires) {
+      continue;
+    }
+    // never report internal scopes
+    const summary = {
+      ..._parseScope({scope}),
+      created: new Date(meta.created),
+      updated: new Date(meta.updated)
+    };
+    if(expires !== undefined) {
+      summary.expires = expires;
+    }
+    requesters.push(summary);
+  }
+  return {requesters};
+}
+
+/**
+ * Removes every pairwise token for an entity, e.g., when the entity is erased
+ * via `entities.erase()`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.internalId - The internal ID of the entity.
+ * @param {boolean} [options.explain] - An optional explain boolean.
+ *
+ * @returns {Promise<number | ExplainObject>} Resolves with the number of
+ *   removed pairwise tokens or an ExplainObject if `explain=true`.
+ */
+export async function removeAll({internalId, explain = false} = {}) {
+  assert.buffer(internalId, 'internalId');
+  const query = {'pairwiseToken.internalId': internalId};
+  const collection = database.collections['tokenization-pairwiseToken'];
+
+  if(explain) {
+    // 'find()' is used here because 'deleteMany()' doesn't return a cursor
+    // which allows the use of the explain function.
+    const cursor = await collection.find(query, {projection: {_id: 0}});
+    return cursor.explain('executionStats');
+  }
+
+  const result = await collection.deleteMany(query);
+  return result.deletedCount;
+}
+
+/**
+ * Rotates pairwise tokens, replacing each of their values with a new random
+ * value. Pass `requester` to rotate every pairwise token issued to a
+ * requester (e.g., if the requester's database has leaked), `internalId` to
+ * rotate every pairwise token for an entity, or both to rotate a single
+ * pairwise token. Rotating the pairwise tokens of a requester that has been
+ * mapped to a sector rotates them for the whole sector. Rotating by
+ * `requester` alone requires
+ * `bedrock.config.tokenization.ensurePairwiseTokenRequesterIndex` to be
+ * `true`; otherwise, a `NotAllowedError` is thrown.
+ *
+ * Each replaced value can still be resolved via `resolvePairwiseToken`, which
+ * reports it as superseded, until its rotation overlap period ends (see
+ * `bedrock.config.tokenization.pairwiseTokenRotationOverlap`).
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.requester] - The requester to rotate pairwise
+ *   tokens for.
+ * @param {Buffer} [options.internalId] - The internal ID of the entity to
+ *   rotate pairwise tokens for.
+ * @param {boolean} [options.explain] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with an object with
+ *   `rotatedCount`, the number of rotated pairwise tokens, or an
+ *   ExplainObject if `explain=true`.
+ */
+export async function rotate({requester, internalId, explain = false} = {}) {
+  assert.optionalString(requester, 'requester');
+  assert.optionalBuffer(internalId, 'internalId');
+  if(requester === undefined && internalId === undefined) {
+    throw new TypeError('Either "requester" or "internalId" must be given.');
+  }
+  if(bedrock.config.tokenization.pairwiseTokenMode === 'derived') {
+    throw new BedrockError(
+      'Derived pairwise tokens cannot be rotated.',
+      'NotSupportedError', {
+        public: true,
+        httpStatusCode: 400
+      });
+  }
+
+  // pairwise token requester index must be enabled if `internalId` is not
+  // given
+  const {ensurePairwiseTokenRequesterIndex} = bedrock.config.tokenization;
+  if(!ensurePairwiseTokenRequesterIndex && internalId === undefined) {
+    throw new BedrockError(
+      'Rotating pairwise tokens by requester is not allowed because the ' +
+      'pairwise token requester index is not enabled.',
+      'NotAllowedError', {
+        httpStatusCode: 500,
+        public: true
+      });
+  }
+
+  const query = {};
+  if(internalId !== undefined) {
+    query['pairwiseToken.internalId'] = internalId;
+  }
+  if(requester !== undefined) {
+    query['pairwiseToken.requester'] = getScope({requester});
+  }
+  const projection = {
+    _id: 0,
+    'pairwiseToken.internalId': 1,
+    'pairwiseToken.requester': 1,
+    'pairwiseToken.value': 1
+  };
+  const collection = database.collections['tokenization-pairwiseToken'];
+
+  if(explain) {
+    const cursor = await collection.find(query, {projection});
+    return cursor.explain('executionStats');
+  }
+
+  const {pairwiseTokenRotationOverlap} = bedrock.config.tokenization;
+  let rotatedCount = 0;
+  let operations = [];
+  const write = async () => {
+    const result = await collection.bulkWrite(operations, {ordered: false});
+    rotatedCount += result.modifiedCount;
+    operations = [];
+  };
+  for await (const {pairwiseToken} of collection.find(query, {projection})) {
+    const now = Date.now();
+    const update = {
+      $set: {
+        'meta.updated': now,
+        'pairwiseToken.value': Buffer.from(await idGenerator.generate())
+      }
+    };
+    if(pairwiseTokenRotationOverlap > 0) {
+      update.$set['pairwiseToken.previousValue'] = pairwiseToken.value;
+      update.$set['pairwiseToken.previousValueExpires'] = new Date(
+        now + pairwiseTokenRotationOverlap);
+    } else {
+      update.$unset = {
+        'pairwiseToken.previousValue': '',
+        'pairwiseToken.previousValueExpires': ''
+      };
+    }
+    // only rotate the value if it has not changed concurrently
+    operations.push({
+      updateOne: {
+        filter: {
+          'pairwiseToken.internalId': pairwiseToken.internalId,
+          'pairwiseToken.requester': pairwiseToken.requester,
+          'pairwiseToken.value': pairwiseToken.value
+        },
+        update
+      }
+    });
+    if(operations.length === ROTATION_BATCH_SIZE) {
+      await write();
+    }
+  }
+  if(operations.length > 0) {
+    await write();
+  }
+  return {rotatedCount};
+}
+
+/**
+ * Derives the pairwise token value for an entity and a requester via the HMAC
+ * API of the tokenizer identified by the `pairwiseTokenDerivationTokenizerId`
+ * config option; derived pairwise tokens are never stored.
+ *
+ * @param {object} options - Options to use.
+ * @param {Buffer} options.internalId - The internal ID of the entity.
+ * @param {string} options.requester - The requester.
+ *
+ * @returns {Promise<Buffer>} The pairwise token value.
+ */
+export async function derive({internalId, requester} = {}) {
+  _assertDerivationTokenizerId();
+  const {pairwiseTokenDerivationTokenizerId: id} = bedrock.config.tokenization;
+  const {hmac} = await tokenizers.get({id});
+  // HMAC("pairwise:"|internalId|scope) or, if epochs are enabled,
+  // HMAC("pairwise:"|internalId|epoch|scope), truncated; `internalId` and
+  // `epoch` are fixed in size so the scope cannot be confused with them
+  const epoch = getEpoch();
+  const scope = new TextEncoder().encode(getScope({requester}));
+  const epochSize = epoch ? EPOCH_SIZE : 0;
+  const data = new Uint8Array(
+    DERIVE_PREFIX.length + internalId.length + epochSize + scope.length);
+  let offset = 0;
+  data.set(DERIVE_PREFIX, offset);
+  data.set(internalId, offset += DERIVE_PREFIX.length);
+  offset += internalId.length;
+  if(epoch) {
+    // epoch, 4 byte uint32
+    new DataView(data.buffer).setUint32(offset, epoch.epoch);
+    offset += epochSize;
+  }
+  data.set(scope, offset);
+  const signature = await hmac.sign({data});
+  return Buffer.from(signature.subarray(0, PAIRWISE_TOKEN_SIZE));
+}
+
+/**
+ * Gets the current pairwise token epoch, if epochs are enabled via
+ * `bedrock.config.tokenization.pairwiseTokenEpochLength`.
+ *
+ * @returns {object|null} An object with the integer `epoch` and the `Date`
+ *   that the epoch ends, `expires`, or `null` if epochs are not enabled.
+ */
+export function getEpoch() {
+  const {pairwiseTokenEpochLength: length} = bedrock.config.tokenization;
+  if(!length) {
+    return null;
+  }
+  const epoch = Math.floor(Date.now() / length);
+  return {epoch, expires: new Date((epoch + 1) * length)};
+}
+
+/**
+ * Determines whether a stored pairwise token's value belongs to the current
+ * pairwise token epoch; pairwise token values always do if epochs are not
+ * enabled.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.record - The pairwise token record.
+ *
+ * @returns {boolean} `true` if the value belongs to the current epoch.
+ */
+export function isCurrentEpoch({record} = {}) {
+  const epoch = getEpoch();
+  return !epoch || record.pairwiseToken.epoch === epoch.epoch;
+}
+
+/**
+ * Gets the scope of the pairwise tokens for a requester, i.e., the
+ * requester's sector, if it has been mapped to one via
+ * `bedrock.config.tokenization.requesterSectors`, or the requester itself.
+ *
+ * Sector scopes are prefixed with `sector:` so that they never match the
+ * scope of a requester, e.g., a requester whose ID is the same as a sector
+ * identifier does not share that sector's pairwise tokens. Requester scopes
+ * are the requester itself, to remain compatible with existing pairwise
+ * token records, unless the requester starts with either `sector:` or
+ * `requester:`, in which case it is prefixed with `requester:`.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.requester - The requester.
+ *
+ * @returns {string} The pairwise scope.
+ */
+export function getScope({requester} = {}) {
+  const {requesterSectors} = bedrock.config.tokenization;
+  if(Object.hasOwn(requesterSectors, requester)) {
+    return `${SECTOR_SCOPE_PREFIX}${requesterSectors[requester]}`;
+  }
+  if(requester.startsWith(SECTOR_SCOPE_PREFIX) ||
+    requester.startsWith(REQUESTER_SCOPE_PREFIX)) {
+    return `${REQUESTER_SCOPE_PREFIX}${requester}`;
+  }
+  return requester;
+}
+
+// parses a pairwise scope (see `getScope()`) into `{sector}` or `{requester}`
+function _parseScope({scope}) {
+  if(scope.startsWith(SECTOR_SCOPE_PREFIX)) {
+    return {sector: scope.slice(SECTOR_SCOPE_PREFIX.length)};
+  }
+  if(scope.startsWith(REQUESTER_SCOPE_PREFIX)) {
+    return {requester: scope.slice(REQUESTER_SCOPE_PREFIX.length)};
+  }
+  return {requester: scope};
+}
+
+function _assertDerivationTokenizerId() {
+  const {
+    pairwiseTokenMode, pairwiseTokenDerivationTokenizerId: id
+  } = bedrock.config.tokenization;
+  if(pairwiseTokenMode === 'derived' && !(typeof id === 'string' && id)) {
+    throw new TypeError(
+      '"bedrock.config.tokenization.pairwiseTokenDerivationTokenizerId" must ' +
+      'be set to a tokenizer ID when "pairwiseTokenMode" is "derived".');
+  }
+}
+
 async function _create({internalId, requester, expires}) {
   // generate pairwise token value
   const value = Buffer.from(await idGenerator.generate());
@@ -175,13 +606,17 @@ async function _create({internalId, requester, expires}) {
     meta,
     pairwiseToken: {
       internalId,
-      requester,
+      requester: getScope({requester}),
       value
     }
   };
   if(expires !== undefined) {
     record.pairwiseToken.expires = expires;
   }
+  const epoch = getEpoch();
+  if(epoch) {
+    record.pairwiseToken.epoch = epoch.epoch;
+  }
   try {
     await collection.insertOne(record);
   } catch(e) {
@@ -198,10 +633,44 @@ async function _create({internalId, requester, expires}) {
   return record;
 }
 
+async function _startEpoch({record}) {
+  // replace the value of a pairwise token from a previous epoch, dropping
+  // any previous value so that values cannot be correlated across epochs
+  const {epoch} = getEpoch();
+  const {internalId, requester, value: oldValue} = record.pairwiseToken;
+  const value = Buffer.from(await idGenerator.generate());
+  const now = Date.now();
+  const query = {
+    'pairwiseToken.internalId': internalId,
+    'pairwiseToken.requester': requester,
+    'pairwiseToken.value': oldValue
+  };
+  const update = {
+    $set: {
+      'meta.updated': now,
+      'pairwiseToken.value': value,
+      'pairwiseToken.epoch': epoch
+    },
+    $unset: {
+      'pairwiseToken.previousValue': '',
+      'pairwiseToken.previousValueExpires': ''
+    }
+  };
+  const collection = database.collections['tokenization-pairwiseToken'];
+  const result = await collection.updateOne(query, update);
+  if(result.modifiedCount === 0) {
+    return null;
+  }
+  const pairwiseToken = {...record.pairwiseToken, value, epoch};
+  delete pairwiseToken.previousValue;
+  delete pairwiseToken.previousValueExpires;
+  return {meta: {...record.meta, updated: now}, pairwiseToken};
+}
+
 async function _update({internalId, requester, expires}) {
   const query = {
     'pairwiseToken.internalId': internalId,
-    'pairwiseToken.requester': requester
+    'pairwiseToken.requester': getScope({requester})
   };
   const update = {
     $set: {'meta.updated': Date.now()}
@@ -215,3 +684,9 @@ async function _update({internalId, requester, expires}) {
   const result = await collection.updateOne(query, update);
   return result.modifiedCount !== 0;
 }
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
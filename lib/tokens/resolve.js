@@ -1,21 +1,38 @@
 /*!
  * Copyright (c) 2020-2026 Digital Bazaar, Inc.
  */
+import * as assertions from './assertions.js';
 import * as bedrock from '@bedrock/core';
 import * as entities from '../entities.js';
+import * as requesters from '../requesters.js';
+import * as resolutionEvents from '../resolutionEvents.js';
+import {
+  derive as _derivePairwiseToken,
+  get as _getPairwiseToken,
+  getEpoch as _getPairwiseTokenEpoch,
+  isCurrentEpoch as _isCurrentPairwiseTokenEpoch,
+  upsert as _upsertPairwiseToken
+} from './pairwise.js';
 import {
   getBatch as _getBatch,
   updateBatch as _updateBatch
 } from './batches.js';
 import {
-  get as _getPairwiseToken,
-  upsert as _upsertPairwiseToken
-} from './pairwise.js';
-import {parse as _parseToken} from './format.js';
+  isAudience as _isAudience,
+  isExpired as _isExpired,
+  parse as _parseToken
+} from './format.js';
+import assert from 'assert-plus';
 import {Bitstring} from '@digitalbazaar/bitstring';
+import crypto from 'node:crypto';
+import {logger} from '../logger.js';
+import pLimit from 'p-limit';
 
 const {util: {BedrockError}} = bedrock;
 
+// resolution event outcome codes for errors that occur during resolution
+const {OUTCOMES, _setOutcome} = resolutionEvents;
+
 /**
  * Attempts to resolve the given token to the party identified by `requester`
  * to a pairwise identifier, known as a "pairwise token". Tokens may be
@@ -32,31 +49,459 @@ const {util: {BedrockError}} = bedrock;
  * have limited correlation capability: it may only correlate entities across
  * all of the tokens it is authorized to resolve.
  *
+ * Requesters that are mapped to the same sector (see
+ * `bedrock.config.tokenization.requesterSectors`) share the same pairwise
+ * identifier for each entity, but each token is still bound to the specific
+ * requester that resolves it.
+ *
  * Given the above constraints, an attempt to resolve a token may fail if it
  * has already been resolved by a different requester (or if the token is
- * invalid or expired). If the token has been resolved by the same requester,
- * the same pairwise identifier that was returned during the previous
- * resolution will be returned again.
+ * invalid, expired, or revoked). If the token has been resolved by the same
+ * requester, the same pairwise identifier that was returned during the previous
+ * resolution will be returned again. An attempt to resolve a token that has a
+ * `notBefore` time in the future fails with a `NotAllowedError` and does not
+ * bind the token to the requester. Similarly, if a token was created with an
+ * `audience`, an attempt by any other requester to resolve it fails with a
+ * `NotAllowedError` and does not bind the token, so the token cannot be
+ * consumed by a party it was not meant for.
  *
  * @param {object} options - Options to use.
  * @param {string} options.requester - The string that unambiguously
  *   identifies the party requesting token resolution.
- * @param {Buffer} options.token - Decoded token to resolve.
+ * @param {Uint8Array|string} options.token - The token to resolve, either
+ *   decoded or string-encoded (see `encodeToken`).
  * @param {number} options.levelOfAssurance - Level of assurance provided
  *   during token presentation.
  * @param {boolean} [options.allowResolvedInvalidatedTokens=false] - If true,
  *   will allow already resolved but subsequently invalidated tokens to be
  *   resolved again.
+ * @param {boolean} [options.assertion=false] - If true, the result will
+ *   include `assertion`, a signed assertion of the resolution that covers
+ *   the pairwise token, requester, `validUntil`,
+ *   `minAssuranceForResolution`, and any `resolutionMeta`; it can be
+ *   verified via `verifyResolutionAssertion`; requires a key to be set via
+ *   `bedrock.config.tokenization.resolutionAssertions`.
  *
- * @returns {object} An object containing the Uint8Array `pairwiseToken`.
+ * @returns {object} An object containing the Uint8Array `pairwiseToken` and,
+ *   only if the token has any, the token's secret attributes as the
+ *   Uint8Array `secretAttributes`.
  */
 export async function resolve({
-  requester, token, levelOfAssurance, allowResolvedInvalidatedTokens = false
+  requester, token, levelOfAssurance, allowResolvedInvalidatedTokens = false,
+  assertion = false
+} = {}) {
+  if(assertion) {
+    // fail before any token is bound if assertions cannot be signed
+    assertions.assertEnabled();
+  }
+
+  let outcome;
+  let internalId;
+  let secretAttributes;
+  try {
+    // get requester policy, if the requester registry is enforced
+    const policy = await _getRequesterPolicy({requester});
+
+    // parse token and ensure it is active and allowed by the requester
+    // policy before it can be bound to `requester`
+    let batchId;
+    let index;
+    let expires;
+    let notBefore;
+    let attributes;
+    let audienceHash;
+    ({
+      batchId, index, expires, notBefore, attributes, secretAttributes,
+      audienceHash
+    } = await _parseToken({token}));
+    _assertActive({expires, notBefore});
+    _assertAudience({batchId, audienceHash, requester});
+    _assertRequesterPolicy({policy, levelOfAssurance, attributes});
+
+    let outcomes;
+    ({internalId, outcomes} = await _resolveBatchTokens({
+      requester, batchId, indexes: [index], levelOfAssurance,
+      allowResolvedInvalidatedTokens
+    }));
+    outcome = outcomes[0];
+  } catch(error) {
+    outcome = {error};
+  }
+
+  // record resolution attempt
+  await _recordResolutionEvents({
+    requester, levelOfAssurance, outcomes: [{internalId, ...outcome}]
+  });
+
+  const {result, error} = outcome;
+  if(error) {
+    throw error;
+  }
+  const resolution = _addSecretAttributes({result, secretAttributes});
+  if(assertion) {
+    resolution.assertion = assertions.create({requester, result});
+  }
+  return resolution;
+}
+
+/**
+ * Attempts to resolve each of the given tokens to the party identified by
+ * `requester`. This function is an optimization for resolving many tokens
+ * presented at once; each token is resolved according to the same rules as
+ * `resolve`, including that a token may only be resolved to one requester.
+ *
+ * Tokens are parsed in parallel and then grouped by token batch such that
+ * each token batch is fetched and updated just once (unless a concurrent
+ * update to the token batch requires a retry) and each associated entity
+ * is fetched just once.
+ *
+ * The returned `results` array has the same order as `tokens`. Each element
+ * is an object with either a `result` property, containing the same value
+ * that `resolve` would return for the token, or an `error` property,
+ * containing the error that `resolve` would throw for the token.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.requester - The string that unambiguously
+ *   identifies the party requesting token resolution.
+ * @param {Array<Uint8Array|string>} options.tokens - The tokens to resolve,
+ *   each either decoded or string-encoded (see `encodeToken`).
+ * @param {number} options.levelOfAssurance - Level of assurance provided
+ *   during token presentation.
+ * @param {boolean} [options.allowResolvedInvalidatedTokens=false] - If true,
+ *   will allow already resolved but subsequently invalidated tokens to be
+ *   resolved again.
+ * @param {boolean} [options.assertion=false] - If true, each result will
+ *   include a signed `assertion`; see `resolve`.
+ *
+ * @returns {Promise<object>} An object with `results`, an array with a
+ *   `{result}` or `{error}` object for each token.
+ */
+export async function resolveMany({
+  requester, tokens, levelOfAssurance, allowResolvedInvalidatedTokens = false,
+  assertion = false
 } = {}) {
+  assert.string(requester, 'requester');
+  assert.array(tokens, 'tokens');
+  if(assertion) {
+    // fail before any token is bound if assertions cannot be signed
+    assertions.assertEnabled();
+  }
+
+  // get requester policy, if the requester registry is enforced; if the
+  // requester is not allowed, no tokens can be resolved
+  let policy;
+  try {
+    policy = await _getRequesterPolicy({requester});
+  } catch(error) {
+    const results = tokens.map(() => ({error}));
+    await _recordResolutionEvents({
+      requester, levelOfAssurance, outcomes: results
+    });
+    return {results};
+  }
+
+  // parse tokens with limited concurrency
+  const {tokenResolutionConcurrency: concurrency} = bedrock.config.tokenization;
+  const limit = pLimit(concurrency);
+  const parsed = await Promise.all(tokens.map(token => limit(async () => {
+    try {
+      const parsed = await _parseToken({token});
+      _assertActive(parsed);
+      _assertAudience({...parsed, requester});
+      _assertRequesterPolicy({
+        policy, levelOfAssurance, attributes: parsed.attributes
+      });
+      return parsed;
+    } catch(error) {
+      return {error};
+    }
+  })));
+
+  // group tokens by batch ID, tracking each token's position in `tokens`
+  const results = new Array(tokens.length);
+  const groups = new Map();
+  parsed.forEach(({batchId, index, error}, position) => {
+    if(error) {
+      results[position] = {error};
+      return;
+    }
+    const key = batchId.toString('base64url');
+    let group = groups.get(key);
+    if(!group) {
+      group = {batchId, indexes: [], positions: []};
+      groups.set(key, group);
+    }
+    group.indexes.push(index);
+    group.positions.push(position);
+  });
+
+  // resolve tokens for each token batch with limited concurrency, sharing
+  // entity record look ups across token batches
+  const entityRecordPromises = new Map();
+  const internalIds = new Array(tokens.length);
+  await Promise.all([...groups.values()].map(
+    ({batchId, indexes, positions}) => limit(async () => {
+      let internalId;
+      let outcomes;
+      try {
+        ({internalId, outcomes} = await _resolveBatchTokens({
+          requester, batchId, indexes, levelOfAssurance,
+          allowResolvedInvalidatedTokens, entityRecordPromises
+        }));
+      } catch(error) {
+        outcomes = indexes.map(() => ({error}));
+      }
+      outcomes.forEach(({result, error}, i) => {
+        const position = positions[i];
+        const {secretAttributes} = parsed[position];
+        internalIds[position] = internalId;
+        if(error) {
+          results[position] = {error};
+          return;
+        }
+        results[position] = {
+          result: _addSecretAttributes({result, secretAttributes})
+        };
+        if(assertion) {
+          results[position].result.assertion = assertions.create(
+            {requester, result});
+        }
+      });
+    })));
+
+  // record resolution attempts
+  await _recordResolutionEvents({
+    requester, levelOfAssurance,
+    outcomes: results.map(({error}, position) => ({
+      internalId: internalIds[position], error
+    }))
+  });
+
+  return {results};
+}
+
+/**
+ * Resolves a token to the entity to which it is linked. The entity's
+ * `internalId` should never be shared outside of the system that uses this
+ * module. This function is useful for obtaining the entity associated with
+ * a token that is still valid. For use cases where it's desirable to be able
+ * to call the same API both with and without the token validity check, a
+ * flag, `allowInvalidatedTokens`, can be passed to disable the check.
+ *
+ * This function provides an atomic mechanism that will only obtain an entity
+ * associated with a token if that token is still valid (if the validity check
+ * is not disabled via `allowInvalidatedTokens`). This atomicity is useful for
+ * attempting to make subsequent changes to the returned entity (such as
+ * setting its `minAssuranceForResolution`) that can be aborted if concurrent
+ * token batch invalidation occurs.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array|string} options.token - The token to resolve, either
+ *   decoded or string-encoded (see `encodeToken`).
+ * @param {boolean} [options.allowInvalidatedTokens=false] - If true, will
+ *   allow invalidated, revoked, or expired tokens to be resolved to an entity
+ *   (the validity check will be skipped).
+ *
+ * @returns {Promise<object>} The entity record, with, only if the token has
+ *   any, the token's secret attributes as the Uint8Array `secretAttributes`.
+ */
+export async function resolveToEntity({
+  token, allowInvalidatedTokens = false
+} = {}) {
+  // parse token
+  const {
+    batchId, index, expires, secretAttributes
+  } = await _parseToken({token});
+
+  // if checking validity, ensure token has not expired
+  if(!allowInvalidatedTokens) {
+    _assertNotExpired({expires});
+  }
+
+  // get batch document
+  const {tokenBatch} = await _getBatch({id: batchId});
+  const {internalId} = tokenBatch;
+
+  // if checking validity, ensure token has not been individually revoked
+  if(!allowInvalidatedTokens) {
+    const revokedList = await _getRevokedList({tokenBatch});
+    if(revokedList?.get(index)) {
+      throw _createRevokedError();
+    }
+  }
+
+  // get associated entity
+  let entityRecord;
+  try {
+    entityRecord = await entities.get({internalId});
+  } catch(e) {
+    throw _toTokenError(e);
+  }
+
+  // if checking validity, ensure token has not been invalidated
+  if(!allowInvalidatedTokens &&
+    _isInvalidated({tokenBatch, entity: entityRecord.entity})) {
+    throw _createInvalidatedError();
+  }
+
+  return _addSecretAttributes({result: entityRecord, secretAttributes});
+}
+
+/**
+ * Resolves a token to the `internalId` to which it is linked. This
+ * `internalId` should never be shared outside of the system that uses this
+ * module. This function is useful for obtaining the `internalId` associated
+ * with a token such that registered, encrypted documents associated with the
+ * `internalId` can be retrieved -- regardless of the invalidation status
+ * of the given token.
+ *
+ * **IMPORTANT**: If the invalidation status of the token matters or if the
+ * associated entity record is required, use `resolveToEntity` instead.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array|string} options.token - The token to resolve, either
+ *   decoded or string-encoded (see `encodeToken`).
+ *
+ * @returns {Promise<object>} An object with the `internalId`.
+ */
+export async function resolveToInternalId({token} = {}) {
   // parse token
-  const {batchId, index} = await _parseToken({token});
+  const {batchId} = await _parseToken({token});
+
+  // get batch document
+  const {tokenBatch} = await _getBatch({id: batchId});
+  const {internalId} = tokenBatch;
+
+  // tokens for an erased entity must fail as if their batch was not found
+  if(await entities._isErased({internalId})) {
+    throw _createTokenNotFoundError();
+  }
+
+  // special case resolve to internal ID with flag set
+  return {internalId};
+}
+
+/**
+ * Resolves a pairwise token to the `internalId` to which it is linked. This
+ * `internalId` should never be shared outside of the system that uses this
+ * module. This function is useful for obtaining the `internalId` associated
+ * with a pairwise token.
+ *
+ * A pairwise token value that has been replaced via `rotatePairwiseTokens`
+ * still resolves until its rotation overlap period ends, but it is reported
+ * as superseded. If pairwise token epochs are enabled (see
+ * `bedrock.config.tokenization.pairwiseTokenEpochLength`), only pairwise
+ * tokens from the current epoch resolve.
+ *
+ * **IMPORTANT**: This function will throw an error if this module is not
+ * configured to enable the pairwise token value index, i.e.,
+ * `bedrock.config.tokenization.ensurePairwiseTokenValueIndex = true`, unless
+ * pairwise tokens are derived (see
+ * `bedrock.config.tokenization.pairwiseTokenMode`). Derived pairwise tokens
+ * are not stored, so the `requester` the pairwise token was resolved for and
+ * candidate `internalIds` must be given instead; each candidate's pairwise
+ * token is derived to find the one that matches.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.pairwiseToken - The pairwise token to resolve.
+ * @param {string} [options.requester] - The requester the pairwise token was
+ *   resolved for; required if pairwise tokens are derived.
+ * @param {Array<Buffer>} [options.internalIds] - The candidate internal IDs;
+ *   required if pairwise tokens are derived.
+ *
+ * @returns {Promise<object>} An object with the `internalId` and
+ *   `superseded`, which is `true` if the pairwise token has been replaced by
+ *   a new value.
+ */
+export async function resolvePairwiseToken({
+  pairwiseToken, requester, internalIds
+} = {}) {
+  if(_isPairwiseTokenDerived()) {
+    const internalId = await _findDerivedPairwiseToken(
+      {pairwiseToken, requester, internalIds});
+    return {internalId, superseded: false};
+  }
+
+  try {
+    const record = await _getPairwiseToken({value: pairwiseToken});
+    _assertCurrentPairwiseTokenEpoch({record});
+    return {internalId: record.pairwiseToken.internalId, superseded: false};
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+  const record = await _getPairwiseToken({previousValue: pairwiseToken});
+  _assertCurrentPairwiseTokenEpoch({record});
+  return {internalId: record.pairwiseToken.internalId, superseded: true};
+}
+
+/**
+ * Gets the current `resolutionMeta` of the entity that a requester's pairwise
+ * token is for. A requester (e.g., a relying party) that has kept a pairwise
+ * token returned by `resolve` can use this function to get updated
+ * `resolutionMeta` without a new token being presented. The pairwise token
+ * must have been issued to `requester` (or to its sector) and must not have
+ * expired (or be from a previous pairwise token epoch). If the requester
+ * registry is enforced, the requester must also be active.
+ *
+ * **IMPORTANT**: This function will throw an error if this module is not
+ * configured to enable the pairwise token value index, i.e.,
+ * `bedrock.config.tokenization.ensurePairwiseTokenValueIndex = true`, and it
+ * does not support derived pairwise tokens (see
+ * `bedrock.config.tokenization.pairwiseTokenMode`).
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.requester - The string that unambiguously
+ *   identifies the party requesting the `resolutionMeta`.
+ * @param {Uint8Array} options.pairwiseToken - The requester's pairwise token.
+ *
+ * @returns {Promise<object>} An object with the entity's `resolutionMeta`,
+ *   if it has any.
+ */
+export async function getResolutionMeta({requester, pairwiseToken} = {}) {
+  assert.string(requester, 'requester');
+  if(!(pairwiseToken instanceof Uint8Array)) {
+    throw new TypeError('"pairwiseToken" must be a Uint8Array.');
+  }
+  if(_isPairwiseTokenDerived()) {
+    throw new BedrockError(
+      'Derived pairwise tokens cannot be used to get resolution meta.',
+      'NotSupportedError', {
+        public: true,
+        httpStatusCode: 400
+      });
+  }
+
+  // ensure requester is allowed, if the requester registry is enforced
+  await _getRequesterPolicy({requester});
+
+  // only a pairwise token issued to `requester` is found
+  const record = await _getPairwiseToken({value: pairwiseToken, requester});
+  _assertCurrentPairwiseTokenEpoch({record});
+
+  const {entity} = await entities.get(
+    {internalId: record.pairwiseToken.internalId});
+  const result = {};
+  if(entity.resolutionMeta) {
+    result.resolutionMeta = entity.resolutionMeta;
+  }
+  return result;
+}
+
+async function _resolveBatchTokens({
+  requester, batchId, indexes, levelOfAssurance,
+  allowResolvedInvalidatedTokens, entityRecordPromises = new Map()
+}) {
+  // the same token may be given more than once
+  const uniqueIndexes = [...new Set(indexes)];
 
   while(true) {
+    // track outcome for each token index, `{result}` or `{error}`
+    const outcomes = new Map();
+    const fail = ({indexes, error}) => indexes.forEach(
+      index => outcomes.set(index, {error}));
+
     // get batch document
     const {tokenBatch} = await _getBatch({id: batchId});
     // default missing `pairwiseTokenExpires` to the batch expiration to
@@ -74,7 +519,18 @@ export async function resolve({
     not have an unhandled promise rejection should another failure occur before
     we await this promise. Then check the resolved value for an error and throw
     it when we do await later. */
-    const entityRecordPromise = entities.get({internalId}).catch(e => e);
+    const entityRecordPromise = _getEntityRecord(
+      {internalId, entityRecordPromises});
+
+    const finish = async () => {
+      // do not link outcomes to an entity that does not exist (or has been
+      // erased) to ensure no resolution events are recorded for it
+      const entityRecord = await entityRecordPromise;
+      return {
+        internalId: entityRecord instanceof Error ? undefined : internalId,
+        outcomes: indexes.map(index => outcomes.get(index))
+      };
+    };
 
     /* Note: Always mark the token as resolved against the given party, even
     if we will ultimately report that the assurance level was too low to
@@ -94,96 +550,82 @@ export async function resolve({
       buffer: await Bitstring.uncompressBits({compressed})
     });
 
+    // parse any revoked bitstring
+    const revokedList = await _getRevokedList({tokenBatch});
+
     // find resolution list for `requester`
     const encodedRequester = Buffer.from(requester).toString('base64url');
     const requesterList = resolution[encodedRequester];
+    let requesterBitstring;
+    if(requesterList) {
+      requesterBitstring = new Bitstring({
+        buffer: await Bitstring.uncompressBits({compressed: requesterList})
+      });
+    }
 
-    // see if token is already resolved
-    let tokenRecord;
-
+    // determine which tokens are unresolved and which are already resolved
+    // for `requester`
     // Note: Unpinned token batch invalidation is not retroactive; if a token
     // was already resolved before invalidation, it remains resolved.
-    if(resolvedList.get(index)) {
-      // token already resolved, see if requester matches
-      if(requesterList) {
-        const bs = new Bitstring({
-          buffer: await Bitstring.uncompressBits({compressed: requesterList})
-        });
-        if(bs.get(index)) {
-          // token resolved for same requester; note we don't need to update
-          // the pairwise token record (to increase its `expires` value) if
-          // it already exists because it's always the same TTL for every token
-          // in the same batch... and a new batch will trigger an upsert
-          try {
-            tokenRecord = await _getPairwiseToken({internalId, requester});
-          } catch(e) {
-            if(e.name !== 'NotFoundError') {
-              throw e;
-            }
-          }
-          if(!tokenRecord) {
-            /* Note: Since token batches are updated concurrently with setting
-            pairwise tokens, it's possible for the token batch to be updated
-            prior to the pairwise token being created -- which means we must
-            upsert one here. */
-            tokenRecord = await _upsertPairwiseToken({
-              internalId, requester, expires: pairwiseTokenExpires
-            });
-          }
-        }
-      }
-      if(!tokenRecord) {
+    const unresolved = [];
+    const resolvedForRequester = [];
+    for(const index of uniqueIndexes) {
+      if(revokedList?.get(index)) {
+        // token has been individually revoked; never bind it to `requester`
+        fail({indexes: [index], error: _createRevokedError()});
+      } else if(!resolvedList.get(index)) {
+        unresolved.push(index);
+      } else if(requesterBitstring?.get(index)) {
+        resolvedForRequester.push(index);
+      } else {
         // token already resolved to another requester, can only be
         // scope-resolved once
-        throw new BedrockError(
-          'Token already used.',
-          'NotAllowedError', {
-            public: true,
-            httpStatusCode: 400
-          });
+        fail({indexes: [index], error: _createAlreadyUsedError()});
       }
     }
+    const remaining = [...resolvedForRequester, ...unresolved];
+    if(remaining.length === 0) {
+      return finish();
+    }
 
-    // if the token batch is unpinned, we need to await any parallel potential
-    // entity record lookup first to check for unpinned token batch
-    // invalidation prior to resolution
-    let entityRecord;
-    if(isUnpinned) {
-      entityRecord = await entityRecordPromise;
-      if(entityRecord instanceof Error) {
-        throw entityRecord;
-      }
+    // we need to await any parallel potential entity record lookup first to
+    // check for token batch invalidation prior to resolution and to ensure
+    // that no pairwise token is (re)created for an entity that does not
+    // exist (or has been erased)
+    const entityRecord = await entityRecordPromise;
+    if(entityRecord instanceof Error) {
+      fail({indexes: remaining, error: entityRecord});
+      return finish();
     }
 
-    // unless resolving invalid tokens is permitted, ensure that an unpinned
-    // token has not been invalidated; check this by ensuring the
-    // `batchInvalidationCount` matches the entity record's
+    let pairwiseToken;
+    if(resolvedForRequester.length > 0) {
+      // token resolved for same requester, so get existent pairwise token
+      pairwiseToken = await _getResolvedPairwiseToken(
+        {internalId, requester, expires: pairwiseTokenExpires});
+    }
+
+    // unless resolving invalid tokens is permitted, ensure that the token
+    // has not been invalidated
     if(!allowResolvedInvalidatedTokens &&
-      isUnpinned && tokenBatch.batchInvalidationCount !==
-      entityRecord.entity.batchInvalidationCount) {
-      throw new BedrockError(
-        'Token has been invalidated.',
-        'NotAllowedError', {
-          public: true,
-          httpStatusCode: 403
-        });
+      _isInvalidated({tokenBatch, entity: entityRecord.entity})) {
+      fail({indexes: remaining, error: _createInvalidatedError()});
+      return finish();
     }
 
-    let pairwiseToken;
-    if(tokenRecord) {
-      // token was previously resolved, so get existent pairwise token
-      ({pairwiseToken: {value: pairwiseToken}} = tokenRecord);
-    } else {
-      // token is not yet resolved, attempt to resolve it for `requester`...
+    if(unresolved.length > 0) {
+      // tokens are not yet resolved, attempt to resolve them for `requester`
       try {
-        ({pairwiseToken} = await _markTokenResolved({
-          batchId, index, internalId, requester, compressed,
+        ({pairwiseToken} = await _markTokensResolved({
+          batchId, indexes: unresolved, internalId, requester, compressed,
           encodedRequester, requesterList, resolvedList,
           expires: pairwiseTokenExpires
         }));
       } catch(e) {
         if(e.name === 'InvalidStateError') {
-          // another process resolved a token concurrently, try again
+          // another process resolved a token concurrently, refresh the entity
+          // record and try again
+          entityRecordPromises.delete(internalId.toString('base64url'));
           continue;
         }
         throw e;
@@ -210,152 +652,371 @@ export async function resolve({
           entity, tokenBatch, date: new Date()
         });
       }
-      throw new BedrockError(
-        'Could not resolve token; minimum level of assurance not met.',
-        'NotAllowedError', {
-          levelOfAssurance,
-          minAssuranceForResolution,
-          public: true,
-          httpStatusCode: 403
-        });
+      fail({
+        indexes: remaining,
+        error: _createAssuranceNotMetError(
+          {levelOfAssurance, minAssuranceForResolution})
+      });
+      return finish();
     }
 
-    // resolve the entity record to get any `resolutionMeta`
-    if(entityRecord === undefined) {
-      entityRecord = await entityRecordPromise;
-      if(entityRecord instanceof Error) {
-        throw entityRecord;
+    // finally, return pairwise token, internal ID, and other token info;
+    // a pairwise token is only valid until the end of its epoch, if any
+    const epoch = _getPairwiseTokenEpoch();
+    const validUntil = epoch && epoch.expires < pairwiseTokenExpires ?
+      epoch.expires : pairwiseTokenExpires;
+    for(const index of remaining) {
+      const result = {
+        pairwiseToken, internalId, isUnpinned, minAssuranceForResolution,
+        validUntil
+      };
+      if(entityRecord.entity.resolutionMeta) {
+        result.resolutionMeta = entityRecord.entity.resolutionMeta;
       }
+      outcomes.set(index, {result});
     }
+    return finish();
+  }
+}
 
-    // finally, return pairwise token, internal ID, and other token info
-    const result = {
-      pairwiseToken, internalId, isUnpinned, minAssuranceForResolution,
-      validUntil: pairwiseTokenExpires
-    };
-    if(entityRecord.entity.resolutionMeta) {
-      result.resolutionMeta = entityRecord.entity.resolutionMeta;
+async function _recordResolutionEvents({
+  requester, levelOfAssurance, outcomes
+}) {
+  // calls with an invalid `requester` are not resolution attempts
+  if(typeof requester !== 'string') {
+    return;
+  }
+  const events = outcomes.map(({internalId, error}) => ({
+    requester, levelOfAssurance, internalId,
+    outcome: error ?
+      resolutionEvents._getOutcome({error}) : OUTCOMES.SUCCESS
+  }));
+  try {
+    await resolutionEvents._record({events});
+  } catch(error) {
+    // tokens may already have been bound to `requester`, so failing to
+    // record resolution events must not cause resolution to fail; report
+    // the dropped events instead
+    logger.error(
+      'Failed to record resolution events.',
+      {error, droppedCount: events.length});
+    try {
+      await bedrock.events.emit(
+        'bedrock-tokenization.resolutionEvents.dropped', {events, error});
+    } catch(e) {
+      logger.error('Failed to report dropped resolution events.', {error: e});
     }
-    return result;
   }
 }
 
-/**
- * Resolves a token to the entity to which it is linked. The entity's
- * `internalId` should never be shared outside of the system that uses this
- * module. This function is useful for obtaining the entity associated with
- * a token that is still valid. For use cases where it's desirable to be able
- * to call the same API both with and without the token validity check, a
- * flag, `allowInvalidatedTokens`, can be passed to disable the check.
- *
- * This function provides an atomic mechanism that will only obtain an entity
- * associated with a token if that token is still valid (if the validity check
- * is not disabled via `allowInvalidatedTokens`). This atomicity is useful for
- * attempting to make subsequent changes to the returned entity (such as
- * setting its `minAssuranceForResolution`) that can be aborted if concurrent
- * token batch invalidation occurs.
- *
- * @param {object} options - Options to use.
- * @param {string} options.token - The token to resolve.
- * @param {boolean} [options.allowInvalidatedTokens=false] - If true, will
- *   allow invalidated tokens to be resolved to an entity (the validity check
- *   will be skipped).
- *
- * @returns {Promise<object>} The entity record.
- */
-export async function resolveToEntity({
-  token, allowInvalidatedTokens = false
-} = {}) {
-  // parse token
-  const {batchId} = await _parseToken({token});
+// returns a copy of `result` that only includes `secretAttributes` if there
+// are any, so that the shape of results for other tokens is unchanged
+function _addSecretAttributes({result, secretAttributes}) {
+  if(secretAttributes.length === 0) {
+    return {...result};
+  }
+  return {...result, secretAttributes};
+}
 
-  // get batch document
-  const {tokenBatch} = await _getBatch({id: batchId});
-  const {internalId} = tokenBatch;
+function _isInvalidated({tokenBatch, entity}) {
+  // any token batch, pinned or unpinned, is invalid if its
+  // `allBatchInvalidationCount` is less than the entity's; either value may
+  // be missing in older records
+  if((tokenBatch.allBatchInvalidationCount ?? 0) <
+    (entity.allBatchInvalidationCount ?? 0)) {
+    return true;
+  }
+  // an unpinned token batch is also invalid if its `batchInvalidationCount`
+  // does not match the entity's
+  return tokenBatch.minAssuranceForResolution === -1 &&
+    tokenBatch.batchInvalidationCount !== entity.batchInvalidationCount;
+}
 
-  // determine token pinned/unpinned status
-  const isUnpinned = tokenBatch.minAssuranceForResolution === -1;
+async function _getRequesterPolicy({requester}) {
+  // the requester registry is only consulted if it is enforced
+  const {requesterRegistry: {enforce}} = bedrock.config.tokenization;
+  if(!enforce) {
+    return null;
+  }
 
-  // get associated entity
-  const entityRecord = await entities.get({internalId});
-
-  // if checking validity...
-  // if token is unpinned, ensure token has not been invalidated; check this by
-  // ensuring the `batchInvalidationCount` matches the entity record's
-  if(!allowInvalidatedTokens && isUnpinned &&
-    tokenBatch.batchInvalidationCount !==
-    entityRecord.entity.batchInvalidationCount) {
-    throw new BedrockError(
+  let record;
+  try {
+    record = await requesters.get({id: requester});
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+    throw _setOutcome({
+      outcome: OUTCOMES.REQUESTER_NOT_ALLOWED,
+      error: new BedrockError(
+        'Unknown requester.',
+        'NotAllowedError', {
+          public: true,
+          httpStatusCode: 403
+        }, e)
+    });
+  }
+  if(record.requester.status !== 'active') {
+    throw _setOutcome({
+      outcome: OUTCOMES.REQUESTER_NOT_ALLOWED,
+      error: new BedrockError(
+        'Requester has been suspended.',
+        'NotAllowedError', {
+          public: true,
+          httpStatusCode: 403
+        })
+    });
+  }
+  return record.requester.policy;
+}
+
+function _assertRequesterPolicy({policy, levelOfAssurance, attributes}) {
+  if(!policy) {
+    return;
+  }
+  const {minAssuranceForResolution, allowedAttributes} = policy;
+  if(minAssuranceForResolution !== undefined &&
+    !(levelOfAssurance >= minAssuranceForResolution)) {
+    throw _createAssuranceNotMetError(
+      {levelOfAssurance, minAssuranceForResolution});
+  }
+  if(allowedAttributes &&
+    !allowedAttributes.some(a => Buffer.from(attributes).equals(a))) {
+    throw _setOutcome({
+      outcome: OUTCOMES.ATTRIBUTES_NOT_ALLOWED,
+      error: new BedrockError(
+        'Token attributes are not allowed for requester.',
+        'NotAllowedError', {
+          public: true,
+          httpStatusCode: 403
+        })
+    });
+  }
+}
+
+function _assertActive({expires, notBefore} = {}) {
+  _assertNotExpired({expires});
+  if(notBefore && Date.now() < notBefore) {
+    throw _setOutcome({
+      outcome: OUTCOMES.NOT_YET_VALID,
+      error: new BedrockError(
+        'Token is not yet valid.',
+        'NotAllowedError', {
+          public: true,
+          httpStatusCode: 403,
+          notBefore: notBefore.toISOString()
+        })
+    });
+  }
+}
+
+function _assertNotExpired({expires} = {}) {
+  if(_isExpired({expires})) {
+    throw _setOutcome({
+      outcome: OUTCOMES.EXPIRED,
+      error: new BedrockError(
+        'Token has expired.',
+        'NotAllowedError', {
+          public: true,
+          httpStatusCode: 403
+        })
+    });
+  }
+}
+
+function _assertAudience({batchId, audienceHash, requester}) {
+  if(!_isAudience({batchId, audienceHash, requester})) {
+    throw _setOutcome({
+      outcome: OUTCOMES.AUDIENCE_MISMATCH,
+      error: new BedrockError(
+        'Token audience does not match requester.',
+        'NotAllowedError', {
+          public: true,
+          httpStatusCode: 403
+        })
+    });
+  }
+}
+
+function _createAlreadyUsedError() {
+  return _setOutcome({
+    outcome: OUTCOMES.ALREADY_USED,
+    error: new BedrockError(
+      'Token already used.',
+      'NotAllowedError', {
+        public: true,
+        httpStatusCode: 400
+      })
+  });
+}
+
+function _createAssuranceNotMetError({
+  levelOfAssurance, minAssuranceForResolution
+}) {
+  return _setOutcome({
+    outcome: OUTCOMES.ASSURANCE_NOT_MET,
+    error: new BedrockError(
+      'Could not resolve token; minimum level of assurance not met.',
+      'NotAllowedError', {
+        levelOfAssurance,
+        minAssuranceForResolution,
+        public: true,
+        httpStatusCode: 403
+      })
+  });
+}
+
+function _createInvalidatedError() {
+  return _setOutcome({
+    outcome: OUTCOMES.INVALIDATED,
+    error: new BedrockError(
       'Token has been invalidated.',
       'NotAllowedError', {
         public: true,
         httpStatusCode: 403
-      });
+      })
+  });
+}
+
+function _createRevokedError() {
+  return _setOutcome({
+    outcome: OUTCOMES.REVOKED,
+    error: new BedrockError(
+      'Token has been revoked.',
+      'NotAllowedError', {
+        public: true,
+        httpStatusCode: 403
+      })
+  });
+}
+
+async function _getRevokedList({tokenBatch}) {
+  const {revokedList: compressed} = tokenBatch;
+  if(!compressed) {
+    return null;
   }
+  return new Bitstring({
+    buffer: await Bitstring.uncompressBits({compressed})
+  });
+}
 
-  return entityRecord;
+function _createTokenNotFoundError(cause) {
+  return _setOutcome({
+    outcome: OUTCOMES.NOT_FOUND,
+    error: new BedrockError(
+      'Token not found.',
+      'NotFoundError', {
+        public: true,
+        httpStatusCode: 404
+      }, cause)
+  });
 }
 
-/**
- * Resolves a token to the `internalId` to which it is linked. This
- * `internalId` should never be shared outside of the system that uses this
- * module. This function is useful for obtaining the `internalId` associated
- * with a token such that registered, encrypted documents associated with the
- * `internalId` can be retrieved -- regardless of the invalidation status
- * of the given token.
- *
- * **IMPORTANT**: If the invalidation status of the token matters or if the
- * associated entity record is required, use `resolveToEntity` instead.
- *
- * @param {object} options - Options to use.
- * @param {string} options.token - The token to resolve.
- *
- * @returns {Promise<object>} An object with the `internalId`.
- */
-export async function resolveToInternalId({token} = {}) {
-  // parse token
-  const {batchId} = await _parseToken({token});
+// a token whose entity is not found, e.g., because the entity was erased via
+// `entities.erase()`, is reported the same as a token that is not found
+function _toTokenError(e) {
+  return e.name === 'NotFoundError' ? _createTokenNotFoundError(e) : e;
+}
 
-  // get batch document
-  const {tokenBatch} = await _getBatch({id: batchId});
-  const {internalId} = tokenBatch;
+function _getEntityRecord({internalId, entityRecordPromises}) {
+  const key = internalId.toString('base64url');
+  let promise = entityRecordPromises.get(key);
+  if(!promise) {
+    promise = entities.get({internalId}).catch(_toTokenError);
+    entityRecordPromises.set(key, promise);
+  }
+  return promise;
+}
 
-  // special case resolve to internal ID with flag set
-  return {internalId};
+async function _findDerivedPairwiseToken({
+  pairwiseToken, requester, internalIds
+}) {
+  assert.string(requester, 'requester');
+  assert.arrayOfBuffer(internalIds, 'internalIds');
+  if(!(pairwiseToken instanceof Uint8Array)) {
+    throw new TypeError('"pairwiseToken" must be a Uint8Array.');
+  }
+
+  // derive the pairwise token for each candidate with limited concurrency
+  const {tokenResolutionConcurrency: concurrency} = bedrock.config.tokenization;
+  const limit = pLimit(concurrency);
+  const values = await Promise.all(internalIds.map(
+    internalId => limit(() => _derivePairwiseToken({internalId, requester}))));
+  // compare in constant time to avoid leaking how much of a derived value
+  // matches the given pairwise token
+  const index = values.findIndex(
+    value => value.length === pairwiseToken.length &&
+      crypto.timingSafeEqual(value, pairwiseToken));
+  if(index === -1) {
+    throw new BedrockError(
+      'Pairwise token not found.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  return internalIds[index];
 }
 
-/**
- * Resolves a pairwise token to the `internalId` to which it is linked. This
- * `internalId` should never be shared outside of the system that uses this
- * module. This function is useful for obtaining the `internalId` associated
- * with a pairwise token.
- *
- * **IMPORTANT**: This function will throw an error if this module is not
- * configured to enable the pairwise token value index, i.e.,
- * `bedrock.config.tokenization.ensurePairwiseTokenValueIndex = true`.
- *
- * @param {object} options - Options to use.
- * @param {Uint8Array} options.pairwiseToken - The pairwise token to resolve.
- *
- * @returns {Promise<object>} An object with the `internalId`.
- */
-export async function resolvePairwiseToken({pairwiseToken} = {}) {
-  const {pairwiseToken: {internalId}} = await _getPairwiseToken({
-    value: pairwiseToken
-  });
-  return {internalId};
+async function _getResolvedPairwiseToken({internalId, requester, expires}) {
+  if(_isPairwiseTokenDerived()) {
+    // derived pairwise tokens are never stored
+    return _derivePairwiseToken({internalId, requester});
+  }
+
+  // note we don't need to update the pairwise token record (to increase its
+  // `expires` value) if it already exists because it's always the same TTL
+  // for every token in the same batch... and a new batch will trigger an
+  // upsert
+  let tokenRecord;
+  try {
+    tokenRecord = await _getPairwiseToken({internalId, requester});
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+  if(!tokenRecord || !_isCurrentPairwiseTokenEpoch({record: tokenRecord})) {
+    /* Note: Since token batches are updated concurrently with setting
+    pairwise tokens, it's possible for the token batch to be updated
+    prior to the pairwise token being created -- which means we must
+    upsert one here. A pairwise token from a previous epoch must also be
+    upserted to replace its value for the current epoch. */
+    tokenRecord = await _upsertPairwiseToken({internalId, requester, expires});
+  }
+  return tokenRecord.pairwiseToken.value;
 }
 
-async function _markTokenResolved({
-  batchId, index, internalId, requester, compressed,
+function _assertCurrentPairwiseTokenEpoch({record}) {
+  if(!_isCurrentPairwiseTokenEpoch({record})) {
+    throw new BedrockError(
+      'Pairwise token not found.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+}
+
+function _isPairwiseTokenDerived() {
+  return bedrock.config.tokenization.pairwiseTokenMode === 'derived';
+}
+
+async function _markTokensResolved({
+  batchId, indexes, internalId, requester, compressed,
   encodedRequester, requesterList, resolvedList, expires
 }) {
   // concurrently create a pairwise token for the requester if one does not
-  // exist and update requester's resolution info for the token batch
-  const [{pairwiseToken: {value: pairwiseToken}}] = await Promise.all([
-    _upsertPairwiseToken({internalId, requester, expires}),
+  // exist (or derive one) and update requester's resolution info for the
+  // token batch
+  const [pairwiseToken] = await Promise.all([
+    _isPairwiseTokenDerived() ?
+      _derivePairwiseToken({internalId, requester}) :
+      _upsertPairwiseToken({internalId, requester, expires}).then(
+        ({pairwiseToken: {value}}) => value),
     _updateBatchResolvedList({
-      batchId, requesterList, resolvedList, index, compressed, encodedRequester
+      batchId, requesterList, resolvedList, indexes, compressed,
+      encodedRequester
     })
   ]);
 
@@ -363,7 +1024,7 @@ async function _markTokenResolved({
 }
 
 async function _updateBatchResolvedList({
-  batchId, requesterList, resolvedList, index, compressed, encodedRequester
+  batchId, requesterList, resolvedList, indexes, compressed, encodedRequester
 }) {
   // update requester's resolution info for the token batch
   let bs;
@@ -372,14 +1033,17 @@ async function _updateBatchResolvedList({
       buffer: await Bitstring.uncompressBits({compressed: requesterList})
     });
   } else {
-    bs = new Bitstring({length: 256});
+    // requester lists always match the length of the batch's resolved list,
+    // which is determined by the batch version used to create the batch
+    bs = new Bitstring({length: resolvedList.length});
+  }
+  for(const index of indexes) {
+    bs.set(index, true);
+    // mark token as resolved
+    resolvedList.set(index, true);
   }
-  bs.set(index, true);
   requesterList = Buffer.from(await bs.compressBits());
 
-  // mark token as resolved
-  resolvedList.set(index, true);
-
   // update token batch
   const result = await _updateBatch({
     batchId, compressed, resolvedList, encodedRequester, requesterList
@@ -2,10 +2,10 @@
  * Copyright (c) 2020-2026 Digital Bazaar, Inc.
  */
 import {cleanDB, insertRecord, isRegistration} from './helpers.js';
+import {documents, entities} from '@bedrock/tokenization';
 import {mockDocument, mockDocument2} from './mock.data.js';
 import {Cipher} from '@digitalbazaar/minimal-cipher';
 import crypto from 'node:crypto';
-import {documents} from '@bedrock/tokenization';
 import {tokenizers} from '@bedrock/tokenizer';
 import {
   X25519KeyAgreementKey2020
@@ -205,6 +205,247 @@ describe('Documents', function() {
     });
   });
 
+  describe('documents.getDocuments()', () => {
+    it('should get and decrypt documents by externalId', async () => {
+      const externalId = `did:test:get:${crypto.randomUUID()}`;
+      await documents.register({
+        externalId,
+        document: {example: 'document1'},
+        recipients: [{header: {kid: key1.id, alg: 'ECDH-ES+A256KW'}}],
+        ttl: 30000
+      });
+      await documents.register({
+        externalId,
+        document: {example: 'document2'},
+        recipientChain: [
+          // first pass (inner jwe)
+          [{header: {kid: key1.id, alg: 'ECDH-ES+A256KW'}}],
+          // second pass (outer jwe)
+          [{header: {kid: key2.id, alg: 'ECDH-ES+A256KW'}}]
+        ],
+        ttl: 30000
+      });
+
+      const result = await documents.getDocuments({
+        externalId, keyAgreementKeys: [key1, key2]
+      });
+      result.documents.length.should.equal(2);
+      const examples = result.documents.map(({document}) => document.example);
+      examples.should.have.members(['document1', 'document2']);
+      for(const {registration, error, hashOnly} of result.documents) {
+        should.not.exist(error);
+        should.not.exist(hashOnly);
+        should.not.exist(registration.jwe);
+        registration.internalId.should.be.instanceOf(Buffer);
+      }
+    });
+
+    it('should get and decrypt documents by internalId', async () => {
+      const externalId = `did:test:get:${crypto.randomUUID()}`;
+      const {registration: {internalId}} = await documents.register({
+        externalId,
+        document: {example: 'document'},
+        recipients: [{header: {kid: key1.id, alg: 'ECDH-ES+A256KW'}}],
+        ttl: 30000
+      });
+
+      const result = await documents.getDocuments({
+        internalId, keyAgreementKey: key1
+      });
+      result.documents.length.should.equal(1);
+      result.documents[0].document.should.eql({example: 'document'});
+      result.documents[0].registration.internalId.should.eql(internalId);
+    });
+
+    it('should not over-decrypt a document that is a JWE', async () => {
+      const externalId = `did:test:get:${crypto.randomUUID()}`;
+      const recipients = [{header: {kid: key1.id, alg: 'ECDH-ES+A256KW'}}];
+      const document = await documents._encrypt(
+        {document: {example: 'document'}, recipients});
+      await documents.register({externalId, document, recipients, ttl: 30000});
+
+      const result = await documents.getDocuments({
+        externalId, keyAgreementKey: key1
+      });
+      result.documents.length.should.equal(1);
+      should.not.exist(result.documents[0].error);
+      result.documents[0].document.should.eql(document);
+    });
+
+    it('should report documents that were not stored as hash-only',
+      async () => {
+        const externalId = `did:test:get:${crypto.randomUUID()}`;
+        await documents.register({
+          externalId,
+          document: {example: 'document'},
+          store: false,
+          ttl: 30000
+        });
+
+        const result = await documents.getDocuments({
+          externalId, keyAgreementKey: key1
+        });
+        result.documents.length.should.equal(1);
+        result.documents[0].hashOnly.should.equal(true);
+        should.not.exist(result.documents[0].document);
+        should.exist(result.documents[0].registration.documentHash);
+      });
+
+    it('should report an error when a document cannot be decrypted',
+      async () => {
+        const externalId = `did:test:get:${crypto.randomUUID()}`;
+        await documents.register({
+          externalId,
+          document: {example: 'document'},
+          recipientChain: [
+            [{header: {kid: key1.id, alg: 'ECDH-ES+A256KW'}}],
+            [{header: {kid: key2.id, alg: 'ECDH-ES+A256KW'}}]
+          ],
+          ttl: 30000
+        });
+
+        // `key1` alone cannot decrypt the outer layer
+        const result = await documents.getDocuments({
+          externalId, keyAgreementKey: key1
+        });
+        result.documents.length.should.equal(1);
+        should.not.exist(result.documents[0].document);
+        result.documents[0].error.name.should.equal('NotAllowedError');
+        result.documents[0].error.message.should.equal(
+          'Document could not be decrypted.');
+      });
+
+    it('should return no documents for an unknown externalId', async () => {
+      const result = await documents.getDocuments({
+        externalId: `did:test:get:${crypto.randomUUID()}`,
+        keyAgreementKey: key1
+      });
+      result.documents.should.eql([]);
+    });
+
+    it('should error when both internalId and externalId are passed',
+      async () => {
+        let err;
+        try {
+          await documents.getDocuments({
+            internalId: await documents._generateInternalId(),
+            externalId: 'did:test:get',
+            keyAgreementKey: key1
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('TypeError');
+      });
+  });
+
+  describe('documents.unregister()', () => {
+    const recipients = [{header: {kid: key1.id, alg: 'ECDH-ES+A256KW'}}];
+    let externalId;
+    beforeEach(async () => {
+      externalId = `did:test:unregister:${crypto.randomUUID()}`;
+    });
+
+    it('should unregister a document', async () => {
+      const document1 = {example: 'document1'};
+      const document2 = {example: 'document2'};
+      const {registration: {internalId}} = await documents.register(
+        {externalId, document: document1, recipients, ttl: 30000});
+      await documents.register(
+        {externalId, document: document2, recipients, ttl: 30000});
+
+      const result = await documents.unregister(
+        {externalId, document: document1, removeEntity: true});
+      result.registration.internalId.should.eql(internalId);
+      should.not.exist(result.registration.jwe);
+      result.lastRegistration.should.equal(false);
+
+      const {documents: docs} = await documents.getDocuments(
+        {externalId, keyAgreementKey: key1});
+      docs.length.should.equal(1);
+      docs[0].document.should.eql(document2);
+
+      // entity must not be removed while other registrations remain
+      const {entity} = await entities.get({internalId});
+      entity.internalId.should.eql(internalId);
+    });
+
+    it('should remove the entity after the last registration', async () => {
+      const document = {example: 'document'};
+      const {registration: {internalId}} = await documents.register(
+        {externalId, document, recipients, ttl: 30000});
+
+      const result = await documents.unregister(
+        {externalId, document, removeEntity: true});
+      result.lastRegistration.should.equal(true);
+
+      let err;
+      try {
+        await entities.get({internalId});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+
+      // registering again must use a new `internalId`
+      const {registration: {internalId: internalId2}} =
+        await documents.register(
+          {externalId, document, recipients, ttl: 30000});
+      internalId2.should.not.eql(internalId);
+    });
+
+    it('should restore a removed entity record', async () => {
+      const document = {example: 'document'};
+      const {registration: {internalId}} = await documents.register(
+        {externalId, document, recipients, ttl: 30000});
+
+      // as done by `unregister()` if a registration is made concurrently
+      const record = await entities._remove({internalId});
+      record.entity.internalId.should.eql(internalId);
+      (await entities._restore({record})).should.equal(true);
+      const {entity} = await entities.get({internalId});
+      entity.should.eql(record.entity);
+
+      // an existing entity record is kept
+      (await entities._restore({record})).should.equal(false);
+    });
+
+    it('should shorten entity expiration after the last registration',
+      async () => {
+        const document = {example: 'document'};
+        const {registration: {internalId}} = await documents.register(
+          {externalId, document, store: false, ttl: -1});
+
+        const {entity: {expires}} = await entities.get({internalId});
+
+        const entityTtl = 60000;
+        const before = Date.now();
+        const result = await documents.unregister(
+          {externalId, document, entityTtl});
+        result.lastRegistration.should.equal(true);
+
+        const {entity} = await entities.get({internalId});
+        entity.expires.should.not.eql(expires);
+        entity.expires.getTime().should.be.at.least(before + entityTtl);
+        entity.expires.getTime().should.be.at.most(Date.now() + entityTtl);
+      });
+
+    it('should throw NotFoundError for an unregistered document',
+      async () => {
+        let err;
+        try {
+          await documents.unregister(
+            {externalId, document: {example: 'document'}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      });
+  });
+
   describe('documents._encrypt()', () => {
     it('should encrypt a document with recipients', async () => {
       const recipients = [
@@ -366,6 +607,18 @@ describe('Documents Database Tests', function() {
         executionStats.executionStages.inputStage.stage.should
           .equal('COLLSCAN');
       });
+    it(`is NOT indexed for 'registration.internalId' in getDocuments()`,
+      async function() {
+        // see note on `getRegistration()` above
+        const {internalId} = mockDocument.registration;
+        const {executionStats} = await documents.getDocuments({
+          internalId, keyAgreementKey: key1, explain: true
+        });
+        executionStats.nReturned.should.equal(1);
+        executionStats.totalKeysExamined.should.equal(0);
+        executionStats.executionStages.inputStage.stage.should
+          .equal('COLLSCAN');
+      });
     it('is properly indexed for compound query of ' +
       `'registration.externalIdHash' and 'registration.documentHash' in ` +
       '_getRegistrationRecord()', async function() {
@@ -4,7 +4,9 @@
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
 import {areTokens, cleanDB, getTokenBatch, insertRecord} from './helpers.js';
-import {documents, entities, tokens} from '@bedrock/tokenization';
+import {
+  batchVersions, documents, entities, tokens
+} from '@bedrock/tokenization';
 import {
   mockPairwise, mockPairwise2,
   mockTokenBatch, mockTokenBatch2
@@ -13,6 +15,7 @@ import canonicalize from 'canonicalize';
 import crypto from 'node:crypto';
 import {encode} from 'base58-universal';
 import sinon from 'sinon';
+import {tokenizers} from '@bedrock/tokenizer';
 
 const DEFAULT_BATCH_TTL = 240 * 24 * 60 * 60 * 1000;
 const MAX_EXPIRATION_DATE = new Date('9000-01-01T00:00:00Z');
@@ -672,6 +675,152 @@ describe('Tokens', function() {
       result1.pairwiseToken.should.eql(result2.pairwiseToken);
       result2.internalId.should.eql(internalId);
     });
+  it('should resolve many tokens for the same "requester"',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const attributes = new Uint8Array([1]);
+      const requester = 'requester';
+
+      // upsert mock entity the token is for
+      await entities._upsert({
+        internalId, ttl: 60000, resolutionMeta: {a: 1}
+      });
+
+      const tks = await tokens.create({internalId, attributes, tokenCount: 5});
+      areTokens(tks);
+
+      // resolve one token to another requester first
+      await tokens.resolve({requester: 'other', token: tks.tokens[4]});
+
+      // include an already-resolved, a duplicate, and an invalid token
+      const invalidToken = new Uint8Array([1, 2, 3]);
+      const toResolve = [
+        ...tks.tokens.slice(0, 3), tks.tokens[0], tks.tokens[4], invalidToken
+      ];
+      const {results} = await tokens.resolveMany(
+        {requester, tokens: toResolve});
+      results.length.should.equal(toResolve.length);
+      for(let i = 0; i < 4; ++i) {
+        should.not.exist(results[i].error);
+        const {result} = results[i];
+        should.exist(result.pairwiseToken);
+        result.pairwiseToken.should.eql(results[0].result.pairwiseToken);
+        result.internalId.should.eql(internalId);
+        result.resolutionMeta.should.eql({a: 1});
+      }
+      should.exist(results[4].error);
+      results[4].error.message.should.equal('Token already used.');
+      should.exist(results[5].error);
+      results[5].error.name.should.equal('DataError');
+
+      // tokens must now be resolved for `requester` only
+      const result = await tokens.resolve({requester, token: tks.tokens[1]});
+      result.pairwiseToken.should.eql(results[0].result.pairwiseToken);
+      let err;
+      try {
+        await tokens.resolve({requester: 'other', token: tks.tokens[2]});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Token already used.');
+    });
+  it('should update a token batch once when resolving many tokens',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const requester = 'requester';
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const tks = await tokens.create({internalId, tokenCount: 10});
+      const collection = database.collections['tokenization-tokenBatch'];
+      const updateSpy = sinon.spy(collection, 'updateOne');
+      let results;
+      try {
+        ({results} = await tokens.resolveMany(
+          {requester, tokens: tks.tokens}));
+      } finally {
+        updateSpy.restore();
+      }
+      results.forEach(({error}) => should.not.exist(error));
+
+      // all tokens must be marked resolved with a single update
+      updateSpy.callCount.should.equal(1);
+      const {tokenBatch} = await getTokenBatch({internalId});
+      const encodedRequester = Buffer.from(requester).toString('base64url');
+      should.exist(tokenBatch.resolution[encodedRequester]);
+    });
+  it('should not resolve a revoked token', async function() {
+    const internalId = await documents._generateInternalId();
+    const requester = 'requester';
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const tks = await tokens.create({internalId, tokenCount: 3});
+    const [token1, token2, token3] = tks.tokens;
+
+    // revoke an unresolved token
+    (await tokens.revoke({token: token1})).should.equal(true);
+    // revoking again is a no-op
+    (await tokens.revoke({token: token1})).should.equal(false);
+    let err;
+    try {
+      await tokens.resolve({requester, token: token1});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.message.should.equal('Token has been revoked.');
+
+    // revoked token must not have been bound to `requester`
+    const {tokenBatch} = await getTokenBatch({internalId});
+    should.not.exist(tokenBatch.resolution);
+
+    // revoke an already resolved token
+    await tokens.resolve({requester, token: token2});
+    (await tokens.revoke({token: token2})).should.equal(true);
+    err = undefined;
+    try {
+      await tokens.resolve({requester, token: token2});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.message.should.equal('Token has been revoked.');
+
+    // other tokens in the same batch are unaffected
+    const result = await tokens.resolve({requester, token: token3});
+    should.exist(result.pairwiseToken);
+  });
+  it('should not resolve a revoked token to "entity"', async function() {
+    const internalId = await documents._generateInternalId();
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const tks = await tokens.create({internalId, tokenCount: 1});
+    const [token] = tks.tokens;
+    await tokens.revoke({token});
+
+    let err;
+    try {
+      await tokens.resolveToEntity({token});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.message.should.equal('Token has been revoked.');
+
+    // revoked token resolves when skipping validity check
+    const entityRecord = await tokens.resolveToEntity(
+      {token, allowInvalidatedTokens: true});
+    entityRecord.entity.internalId.should.eql(internalId);
+  });
   it('should throw error when tokenCount is greater than 100 or less than 0',
     async function() {
       const tokenCounts = [0, 101];
@@ -722,7 +871,8 @@ describe('Tokens', function() {
     should.not.exist(result);
     err.name.should.equal('TypeError');
     err.message.should.equal(
-      '"token" must be a Uint8Array that is 2 bytes or more in size.');
+      '"token" must be a Uint8Array that is 2 bytes or more in size or a ' +
+      'string-encoded token.');
   });
   it('should throw error if token length is less than minimumSize',
     async function() {
@@ -1325,6 +1475,63 @@ describe('Tokens', function() {
       err.name.should.equal('NotAllowedError');
       err.message.should.equal('Token has been invalidated.');
     });
+  it('should not resolve token from invalidated pinned batch',
+    async function() {
+      // create tokens
+      const tokenCount = 10;
+      const internalId = await documents._generateInternalId();
+      const attributes = new Uint8Array([1]);
+      const requester = 'requester';
+
+      // upsert mock entity the token is for
+      const {entity} = await entities._upsert({internalId, ttl: 60000});
+
+      const tks = await tokens.create({internalId, attributes, tokenCount});
+      areTokens(tks);
+      const [token1, token2] = tks.tokens;
+      // resolve one token prior to invalidation
+      await tokens.resolve({requester, token: token1});
+
+      // invalidating only unpinned tokens should not affect pinned tokens
+      (await tokens.invalidateTokenBatches({entity})).should.equal(true);
+      const result = await tokens.resolve({requester, token: token1});
+      should.exist(result.pairwiseToken);
+
+      // invalidate all tokens
+      const {entity: updatedEntity} = await entities.get({internalId});
+      const invalidateResult = await tokens.invalidateTokenBatches(
+        {entity: updatedEntity, includePinned: true});
+      invalidateResult.should.equal(true);
+      for(const token of [token1, token2]) {
+        let err;
+        try {
+          await tokens.resolve({requester, token});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+        err.message.should.equal('Token has been invalidated.');
+      }
+
+      // invalidated token must not resolve to "entity" unless allowed
+      let err;
+      try {
+        await tokens.resolveToEntity({token: token2});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Token has been invalidated.');
+      const entityRecord = await tokens.resolveToEntity(
+        {token: token2, allowInvalidatedTokens: true});
+      entityRecord.entity.allBatchInvalidationCount.should.equal(1);
+
+      // new tokens must be issued from a new valid batch
+      const tks2 = await tokens.create({internalId, attributes, tokenCount});
+      const result2 = await tokens.resolve({requester, token: tks2.tokens[0]});
+      should.exist(result2.pairwiseToken);
+    });
   it('should not resolve invalidated token to "entity"', async function() {
     // create tokens
     const tokenCount = 10;
@@ -1648,94 +1855,1415 @@ describe('Tokens', function() {
     });
 });
 
-describe('TokensDuplicateError', function() {
-  let randomBytesStub;
-  before(() => {
-    randomBytesStub = sinon.stub(crypto, 'randomBytes').callsFake(
-      (size, cb) => {
-        if(size > MAX_UINT32) {
-          throw new RangeError('requested too many random bytes');
-        }
-        // allocate a zero filled buffer which is returned without further
-        // modification
-        const bytes = Buffer.alloc(size);
-        if(typeof cb === 'function') {
-          return process.nextTick(function() {
-            cb(null, bytes);
-          });
-        }
-        return bytes;
+describe('Token encodings', function() {
+  const encodings = [
+    {encoding: 'base58btc', header: 'z'},
+    {encoding: 'base64url', header: 'u'},
+    {encoding: 'base32upper', header: 'B'}
+  ];
+  for(const {encoding, header} of encodings) {
+    it(`should create and resolve "${encoding}" tokens`, async function() {
+      const internalId = await documents._generateInternalId();
+      const requester = 'requester';
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const result = await tokens.create({
+        internalId, tokenCount: 2, encoding
       });
-  });
-  after(() => {
-    randomBytesStub.restore();
-  });
-  it('should throw duplicate error if token is created twice.',
+      result.tokens.length.should.equal(2);
+      for(const token of result.tokens) {
+        token.should.be.a('string');
+        token[0].should.equal(header);
+      }
+
+      const resolution = await tokens.resolve(
+        {requester, token: result.tokens[0]});
+      resolution.internalId.should.eql(internalId);
+      const {results} = await tokens.resolveMany(
+        {requester, tokens: [result.tokens[1]]});
+      results[0].result.internalId.should.eql(internalId);
+      const {internalId: internalId2} = await tokens.resolveToInternalId(
+        {token: result.tokens[0]});
+      internalId2.should.eql(internalId);
+      const entityRecord = await tokens.resolveToEntity(
+        {token: result.tokens[0]});
+      entityRecord.entity.internalId.should.eql(internalId);
+    });
+  }
+  it('should encode tokens using only QR alphanumeric characters',
     async function() {
-      // crypto.randomBytes has been stubbed so that the same batch ID will be
-      // generated everytime, and we are consuming all tokens in the first batch
-      // associated with the internalId so that when a new batch is created, the
-      // same ID is generated and the error occurs.
-      const tokenCount = 100;
-      const attributes = new Uint8Array([1]);
       const internalId = await documents._generateInternalId();
-      let err;
-      let result2;
+      const requester = 'requester';
 
       // upsert mock entity the token is for
       await entities._upsert({internalId, ttl: 60000});
 
-      const result1 = await tokens.create({internalId, attributes, tokenCount});
+      const {tokens: [token]} = await tokens.create(
+        {internalId, tokenCount: 1});
+      const encoded = tokens.encodeToken({token, encoding: 'base32upper'});
+      encoded.should.match(/^[A-Z0-9]+$/);
+      tokens.decodeToken({token: encoded}).should.eql(token);
+
+      // decoded and encoded tokens resolve to the same pairwise token
+      const result1 = await tokens.resolve({requester, token});
+      const result2 = await tokens.resolve({requester, token: encoded});
+      result1.pairwiseToken.should.eql(result2.pairwiseToken);
+    });
+  it('should reject an unknown encoding', async function() {
+    const internalId = await documents._generateInternalId();
+    let err;
+    try {
+      await tokens.create({internalId, tokenCount: 1, encoding: 'base16'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('should reject non-canonical string-encoded tokens', async function() {
+    const token = new Uint8Array([0xff]);
+    tokens.encodeToken({token, encoding: 'base32upper'}).should.equal('B74');
+    tokens.encodeToken({token, encoding: 'base64url'}).should.equal('u_w');
+    // trailing bits, padding, and partial characters are rejected
+    for(const encoded of ['B75', 'B74======', 'B747', 'u_x', 'u_w==']) {
+      let err;
       try {
-        // create token again with same parameters
-        result2 = await tokens.create({internalId, attributes, tokenCount});
+        tokens.decodeToken({token: encoded});
       } catch(e) {
         err = e;
       }
-      should.exist(result1);
-      should.not.exist(result2);
       should.exist(err);
-      err.name.should.equal('DuplicateError');
-      err.message.should.equal('Duplicate token batch.');
-    });
+      err.name.should.equal('DataError');
+      err.message.should.equal('Invalid token.');
+    }
+  });
+  it('should reject an invalid string-encoded token', async function() {
+    let err;
+    try {
+      await tokens.resolve({requester: 'requester', token: 'Bnot-base32'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+    err.message.should.equal('Invalid token.');
+  });
 });
 
-describe('Tokens Database Tests', function() {
-  describe('Indexes', function() {
-    beforeEach(async () => {
-      const collections = [
-        {
-          collectionName: 'tokenization-tokenBatch',
-          records: [mockTokenBatch, mockTokenBatch2]
-        },
-        {
-          collectionName: 'tokenization-pairwiseToken',
-          records: [mockPairwise, mockPairwise2]
-        }
-      ];
-      for(const collection of collections) {
-        const {collectionName} = collection;
-        await cleanDB({collectionName});
+describe('Token inspection', function() {
+  it('should inspect a token without authenticating it', async function() {
+    const internalId = await documents._generateInternalId();
+    const attributes = new Uint8Array([1, 2]);
 
-        for(const record of collection.records) {
-          // mutliple records are inserted here in order to do proper assertions
-          // for 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
-          await insertRecord({
-            record, collectionName
-          });
-        }
-      }
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token]} = await tokens.create(
+      {internalId, attributes, tokenCount: 1});
+
+    const tokenizer = await tokenizers.getCurrent();
+    const signSpy = sinon.spy(tokenizer.hmac, 'sign');
+    let result;
+    try {
+      result = await tokens.inspect({token});
+    } finally {
+      signSpy.restore();
+    }
+    signSpy.callCount.should.equal(0);
+    result.valid.should.equal(true);
+    result.batchVersionId.should.be.a('number');
+    result.attributes.should.eql(attributes);
+    should.not.exist(result.index);
+    should.not.exist(result.batchId);
+  });
+  it('should inspect a string-encoded token', async function() {
+    const internalId = await documents._generateInternalId();
+    const attributes = new Uint8Array([1, 2]);
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token]} = await tokens.create(
+      {internalId, attributes, tokenCount: 1, encoding: 'base32upper'});
+    const result = await tokens.inspect({token});
+    result.valid.should.equal(true);
+    result.attributes.should.eql(attributes);
+  });
+  it('should inspect and authenticate a token', async function() {
+    const internalId = await documents._generateInternalId();
+    const attributes = new Uint8Array([1, 2]);
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token]} = await tokens.create(
+      {internalId, attributes, tokenCount: 1});
+    const tokenizer = await tokenizers.getCurrent();
+    const result = await tokens.inspect({token, authenticate: true});
+    result.valid.should.equal(true);
+    result.attributes.should.eql(attributes);
+    result.tokenizerId.should.equal(tokenizer.id);
+    result.index.should.be.a('number');
+    result.expired.should.equal(false);
+    should.not.exist(result.batchId);
+  });
+  it('should report a token with an altered payload as invalid',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const attributes = new Uint8Array([1]);
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token]} = await tokens.create(
+        {internalId, attributes, tokenCount: 1});
+      // change wrapped value by incrementing its first index
+      token[65] = (token[65] + 1) & 0xFF;
+
+      // structurally valid...
+      const result1 = await tokens.inspect({token});
+      result1.valid.should.equal(true);
+
+      // ...but not authentic
+      const result2 = await tokens.inspect({token, authenticate: true});
+      result2.valid.should.equal(false);
+      result2.error.name.should.equal('DataError');
+      should.not.exist(result2.index);
     });
-    it(`is properly indexed for 'tokenBatch.id in _getBatch()`,
-      async function() {
-        const {id} = mockTokenBatch.tokenBatch;
-        const {executionStats} = await tokens._getBatch({id, explain: true});
-        executionStats.nReturned.should.equal(1);
-        executionStats.totalKeysExamined.should.equal(1);
-        executionStats.totalDocsExamined.should.equal(1);
-        executionStats.executionStages.inputStage.inputStage.inputStage.stage
-          .should.equal('IXSCAN');
-        executionStats.executionStages.inputStage.inputStage.inputStage
+  it('should report a malformed token as invalid', async function() {
+    const result = await tokens.inspect({token: new Uint8Array([1, 2, 3])});
+    result.valid.should.equal(false);
+    result.error.name.should.equal('DataError');
+  });
+});
+
+describe('Tokens with large batches', function() {
+  // use a batch version ID that will not be auto-generated during testing
+  const LARGE_BATCH_VERSION_ID = 65000;
+  let batchVersion;
+  let tokenizer;
+  before(async function() {
+    tokenizer = await tokenizers.getCurrent();
+    ({batchVersion} = await batchVersions.create({
+      id: LARGE_BATCH_VERSION_ID,
+      tokenizerId: tokenizer.id,
+      options: {
+        batchIdSize: 16,
+        batchSaltSize: 16,
+        batchIndexSize: 2,
+        batchResolutionListLength: 1024,
+        batchTokenCount: 1000,
+        ttl: DEFAULT_BATCH_TTL
+      }
+    }));
+  });
+  after(async function() {
+    // remove large batch version so it is not used by other tests
+    await database.collections['tokenization-batchVersion'].deleteOne(
+      {'batchVersion.id': LARGE_BATCH_VERSION_ID});
+  });
+  it('should create and resolve tokens beyond index 255', async function() {
+    const internalId = await documents._generateInternalId();
+    const attributes = new Uint8Array([1]);
+    const requester = 'requester';
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    // create 300 tokens in the same large batch
+    const created = [];
+    for(let i = 0; i < 3; ++i) {
+      const result = await tokens._createTokens({
+        internalId, attributes, tokenCount: 100, tokenizer, batchVersion
+      });
+      areTokens(result);
+      created.push(...result.tokens);
+    }
+    const {tokenBatch} = await getTokenBatch({internalId});
+    tokenBatch.maxTokenCount.should.equal(1000);
+    tokenBatch.remainingTokenCount.should.equal(700);
+
+    // resolve first and last tokens
+    const result1 = await tokens.resolve({requester, token: created[0]});
+    const result2 = await tokens.resolve({requester, token: created[299]});
+    result1.pairwiseToken.should.eql(result2.pairwiseToken);
+
+    // last token must be bound to `requester` only
+    let err;
+    try {
+      await tokens.resolve({requester: 'other', token: created[299]});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal('Token already used.');
+
+    // an unresolved token with a high index should still be resolvable by
+    // another requester
+    const result3 = await tokens.resolve(
+      {requester: 'other', token: created[298]});
+    should.exist(result3.pairwiseToken);
+    result3.pairwiseToken.should.not.eql(result1.pairwiseToken);
+  });
+});
+
+describe('Tokens with HKDF KEK derivation', function() {
+  // use a batch version ID that will not be auto-generated during testing
+  const HKDF_BATCH_VERSION_ID = 65001;
+  let batchVersion;
+  let tokenizer;
+  before(async function() {
+    tokenizer = await tokenizers.getCurrent();
+    ({batchVersion} = await batchVersions.create({
+      id: HKDF_BATCH_VERSION_ID,
+      tokenizerId: tokenizer.id,
+      options: {
+        batchIdSize: 16,
+        batchSaltSize: 16,
+        batchTokenCount: 100,
+        batchKekDerivation: 'hkdf',
+        ttl: DEFAULT_BATCH_TTL
+      }
+    }));
+  });
+  after(async function() {
+    // remove HKDF batch version so it is not used by other tests
+    await database.collections['tokenization-batchVersion'].deleteOne(
+      {'batchVersion.id': HKDF_BATCH_VERSION_ID});
+  });
+  it('should create tokens with at most one HMAC call', async function() {
+    const internalId = await documents._generateInternalId();
+    const attributes = new Uint8Array([1]);
+    const requester = 'requester';
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const signSpy = sinon.spy(tokenizer.hmac, 'sign');
+    let result;
+    try {
+      result = await tokens._createTokens({
+        internalId, attributes, tokenCount: 20, tokenizer, batchVersion
+      });
+    } finally {
+      signSpy.restore();
+    }
+    areTokens(result);
+    result.tokens.length.should.equal(20);
+    signSpy.callCount.should.be.at.most(1);
+
+    // tokens must resolve
+    const result1 = await tokens.resolve({requester, token: result.tokens[0]});
+    const result2 = await tokens.resolve({requester, token: result.tokens[19]});
+    should.exist(result1.pairwiseToken);
+    result1.pairwiseToken.should.eql(result2.pairwiseToken);
+    result1.internalId.should.eql(internalId);
+  });
+  it('should not create a batch version with unknown KEK derivation',
+    async function() {
+      let err;
+      try {
+        await batchVersions.create({
+          id: HKDF_BATCH_VERSION_ID + 1,
+          tokenizerId: tokenizer.id,
+          options: {batchIdSize: 16, batchKekDerivation: 'unknown'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+});
+
+describe('Tokens with extended payload format', function() {
+  // use a batch version ID that will not be auto-generated during testing
+  const EXTENDED_BATCH_VERSION_ID = 65002;
+  let batchVersion;
+  let tokenizer;
+  before(async function() {
+    tokenizer = await tokenizers.getCurrent();
+    ({batchVersion} = await batchVersions.create({
+      id: EXTENDED_BATCH_VERSION_ID,
+      tokenizerId: tokenizer.id,
+      options: {
+        batchIdSize: 16,
+        batchSaltSize: 16,
+        batchTokenCount: 100,
+        batchPayloadFormat: 'extended',
+        ttl: DEFAULT_BATCH_TTL
+      }
+    }));
+  });
+  after(async function() {
+    // remove extended batch version so it is not used by other tests
+    await database.collections['tokenization-batchVersion'].deleteOne(
+      {'batchVersion.id': EXTENDED_BATCH_VERSION_ID});
+  });
+  it('should create and resolve tokens with a per-token TTL',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const attributes = new Uint8Array([1, 2]);
+      const requester = 'requester';
+      const ttl = 10 * 60 * 1000;
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const before = Date.now();
+      const result = await tokens._createTokens({
+        internalId, attributes, tokenCount: 2, ttl, tokenizer, batchVersion
+      });
+      areTokens(result);
+      result.validUntil.getTime().should.be.at.most(before + ttl + 1000);
+      result.validUntil.getTime().should.be.at.least(before + ttl - 1000);
+
+      const resolution = await tokens.resolve(
+        {requester, token: result.tokens[0]});
+      should.exist(resolution.pairwiseToken);
+      resolution.internalId.should.eql(internalId);
+    });
+  it('should resolve extended tokens without a per-token TTL',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const requester = 'requester';
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const result = await tokens._createTokens({
+        internalId, tokenCount: 1, tokenizer, batchVersion
+      });
+      areTokens(result);
+      const resolution = await tokens.resolve(
+        {requester, token: result.tokens[0]});
+      resolution.internalId.should.eql(internalId);
+    });
+  it('should not resolve a token after its per-token TTL', async function() {
+    const internalId = await documents._generateInternalId();
+    const requester = 'requester';
+    const ttl = 10 * 60 * 1000;
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token]} = await tokens._createTokens({
+      internalId, tokenCount: 1, ttl, tokenizer, batchVersion
+    });
+
+    // resolve token as if `ttl` has passed
+    const now = Date.now();
+    const nowStub = sinon.stub(Date, 'now').returns(now + ttl + 1000);
+    let err;
+    try {
+      await tokens.resolve({requester, token});
+    } catch(e) {
+      err = e;
+    } finally {
+      nowStub.restore();
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.message.should.equal('Token has expired.');
+
+    // token must not have been bound to the requester
+    const {tokenBatch} = await getTokenBatch({internalId});
+    should.not.exist(tokenBatch.resolution);
+  });
+  it('should allow an expired token to be inspected and revoked',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const ttl = 10 * 60 * 1000;
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token]} = await tokens._createTokens({
+        internalId, tokenCount: 1, ttl, tokenizer, batchVersion
+      });
+
+      // use token as if `ttl` has passed
+      const now = Date.now();
+      const nowStub = sinon.stub(Date, 'now').returns(now + ttl + 1000);
+      try {
+        let err;
+        try {
+          await tokens.resolveToEntity({token});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal('Token has expired.');
+
+        const {entity} = await tokens.resolveToEntity(
+          {token, allowInvalidatedTokens: true});
+        entity.internalId.should.eql(internalId);
+        const result = await tokens.resolveToInternalId({token});
+        result.internalId.should.eql(internalId);
+        (await tokens.revoke({token})).should.equal(true);
+      } finally {
+        nowStub.restore();
+      }
+    });
+  it('should reject a per-token TTL for a basic batch version',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const basicBatchVersion = {
+        ...batchVersion,
+        options: {...batchVersion.options, batchPayloadFormat: 'basic'}
+      };
+
+      let err;
+      try {
+        await tokens._createTokens({
+          internalId, tokenCount: 1, ttl: 60000, tokenizer,
+          batchVersion: basicBatchVersion
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotSupportedError');
+    });
+  it('should not resolve a token before its "notBefore" time',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const requester = 'requester';
+      const notBefore = new Date(Date.now() + 60 * 60 * 1000);
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token]} = await tokens._createTokens({
+        internalId, tokenCount: 1, notBefore, tokenizer, batchVersion
+      });
+
+      let err;
+      try {
+        await tokens.resolve({requester, token});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal('Token is not yet valid.');
+
+      // token must not have been bound to the requester
+      const {tokenBatch} = await getTokenBatch({internalId});
+      should.not.exist(tokenBatch.resolution);
+
+      // token can still be resolved internally
+      const result = await tokens.resolveToInternalId({token});
+      result.internalId.should.eql(internalId);
+
+      // token resolves once `notBefore` has passed
+      const nowStub = sinon.stub(Date, 'now').returns(
+        notBefore.getTime() + 1000);
+      let resolution;
+      try {
+        resolution = await tokens.resolve({requester, token});
+      } finally {
+        nowStub.restore();
+      }
+      resolution.internalId.should.eql(internalId);
+    });
+  it('should report tokens before their "notBefore" time in "resolveMany"',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const requester = 'requester';
+      const notBefore = new Date(Date.now() + 60 * 60 * 1000);
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [activeToken]} = await tokens._createTokens({
+        internalId, tokenCount: 1, tokenizer, batchVersion
+      });
+      const {tokens: [inactiveToken]} = await tokens._createTokens({
+        internalId, tokenCount: 1, notBefore, tokenizer, batchVersion
+      });
+
+      const {results} = await tokens.resolveMany({
+        requester, tokens: [activeToken, inactiveToken]
+      });
+      should.exist(results[0].result);
+      results[0].result.internalId.should.eql(internalId);
+      should.exist(results[1].error);
+      results[1].error.name.should.equal('NotAllowedError');
+      results[1].error.message.should.equal('Token is not yet valid.');
+    });
+  it('should create and resolve tokens with secret attributes',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const attributes = new Uint8Array([1]);
+      const secretAttributes = new Uint8Array(
+        [0xde, 0xad, 0xbe, 0xef, 0xca, 0xfe, 0xba, 0xbe, 0x01]);
+      const requester = 'requester';
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token1, token2]} = await tokens._createTokens({
+        internalId, attributes, secretAttributes, tokenCount: 2, tokenizer,
+        batchVersion
+      });
+
+      // secret attributes must not appear in the clear
+      Buffer.from(token1).includes(Buffer.from(secretAttributes))
+        .should.equal(false);
+
+      const resolution = await tokens.resolve({requester, token: token1});
+      resolution.internalId.should.eql(internalId);
+      resolution.secretAttributes.should.eql(secretAttributes);
+
+      const {results} = await tokens.resolveMany({
+        requester, tokens: [token2]
+      });
+      results[0].result.secretAttributes.should.eql(secretAttributes);
+
+      const entityRecord = await tokens.resolveToEntity({token: token1});
+      entityRecord.entity.internalId.should.eql(internalId);
+      entityRecord.secretAttributes.should.eql(secretAttributes);
+    });
+  it('should not return secret attributes when none were given',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const requester = 'requester';
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token]} = await tokens._createTokens({
+        internalId, tokenCount: 1, tokenizer, batchVersion
+      });
+      const resolution = await tokens.resolve({requester, token});
+      resolution.should.not.have.property('secretAttributes');
+
+      const entityRecord = await tokens.resolveToEntity({token});
+      entityRecord.should.not.have.property('secretAttributes');
+    });
+  it('should reject secret attributes that are too large',
+    async function() {
+      const internalId = await documents._generateInternalId();
+
+      let err;
+      try {
+        await tokens._createTokens({
+          internalId, tokenCount: 1, secretAttributes: new Uint8Array(256),
+          tokenizer, batchVersion
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('RangeError');
+    });
+  it('should only resolve tokens with an audience for that audience',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const audience = 'audience';
+      const relay = 'relay';
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token1, token2]} = await tokens._createTokens({
+        internalId, audience, tokenCount: 2, tokenizer, batchVersion
+      });
+
+      // audience must not appear in the clear
+      Buffer.from(token1).includes(Buffer.from(audience)).should.equal(false);
+
+      // another requester cannot resolve the token
+      let err;
+      try {
+        await tokens.resolve({requester: relay, token: token1});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal('Token audience does not match requester.');
+      const {results} = await tokens.resolveMany({
+        requester: relay, tokens: [token2]
+      });
+      results[0].error.message.should.equal(
+        'Token audience does not match requester.');
+
+      // token must not have been bound to the other requester
+      const resolution = await tokens.resolve(
+        {requester: audience, token: token1});
+      resolution.internalId.should.eql(internalId);
+      const {results: results2} = await tokens.resolveMany({
+        requester: audience, tokens: [token2]
+      });
+      results2[0].result.internalId.should.eql(internalId);
+    });
+  it('should reject a "notBefore" time after a per-token TTL',
+    async function() {
+      const internalId = await documents._generateInternalId();
+
+      let err;
+      try {
+        await tokens._createTokens({
+          internalId, tokenCount: 1, ttl: 60000,
+          notBefore: new Date(Date.now() + 120000), tokenizer, batchVersion
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('RangeError');
+    });
+  it('should not create a batch version with unknown payload format',
+    async function() {
+      let err;
+      try {
+        await batchVersions.create({
+          id: EXTENDED_BATCH_VERSION_ID + 1,
+          tokenizerId: tokenizer.id,
+          options: {batchIdSize: 16, batchPayloadFormat: 'unknown'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+});
+
+describe('Pairwise token sectors', function() {
+  let requesterSectors;
+  before(async function() {
+    ({requesterSectors} = bedrock.config.tokenization);
+    bedrock.config.tokenization.requesterSectors = {
+      'sector-requester-1': 'https://sector.example',
+      'sector-requester-2': 'https://sector.example'
+    };
+  });
+  after(async function() {
+    bedrock.config.tokenization.requesterSectors = requesterSectors;
+  });
+  it('should share pairwise tokens across requesters in a sector',
+    async function() {
+      const internalId = await documents._generateInternalId();
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token1, token2, token3]} = await tokens.create(
+        {internalId, tokenCount: 3});
+      const resolution1 = await tokens.resolve(
+        {requester: 'sector-requester-1', token: token1});
+      const resolution2 = await tokens.resolve(
+        {requester: 'sector-requester-2', token: token2});
+      const resolution3 = await tokens.resolve(
+        {requester: 'other-requester', token: token3});
+      resolution1.pairwiseToken.should.eql(resolution2.pairwiseToken);
+      resolution1.pairwiseToken.should.not.eql(resolution3.pairwiseToken);
+
+      // pairwise token is keyed by sector
+      const {pairwiseToken} = await tokens.getPairwiseToken(
+        {internalId, requester: 'sector-requester-2'});
+      pairwiseToken.requester.should.equal('sector:https://sector.example');
+      pairwiseToken.value.should.eql(resolution1.pairwiseToken);
+    });
+  it('should not share pairwise tokens with a requester named as a sector',
+    async function() {
+      const internalId = await documents._generateInternalId();
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token1, token2, token3]} = await tokens.create(
+        {internalId, tokenCount: 3});
+      const resolution1 = await tokens.resolve(
+        {requester: 'sector-requester-1', token: token1});
+      const resolution2 = await tokens.resolve(
+        {requester: 'https://sector.example', token: token2});
+      const resolution3 = await tokens.resolve(
+        {requester: 'sector:https://sector.example', token: token3});
+      resolution1.pairwiseToken.should.not.eql(resolution2.pairwiseToken);
+      resolution1.pairwiseToken.should.not.eql(resolution3.pairwiseToken);
+      resolution2.pairwiseToken.should.not.eql(resolution3.pairwiseToken);
+    });
+  it('should bind tokens to the specific requester in a sector',
+    async function() {
+      const internalId = await documents._generateInternalId();
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token]} = await tokens.create(
+        {internalId, tokenCount: 1});
+      await tokens.resolve({requester: 'sector-requester-1', token});
+      let err;
+      try {
+        await tokens.resolve({requester: 'sector-requester-2', token});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal('Token already used.');
+    });
+});
+
+describe('Pairwise token rotation', function() {
+  let requester;
+  beforeEach(async function() {
+    // use a unique requester for each test
+    requester = `requester-${crypto.randomUUID()}`;
+  });
+
+  async function _resolvePairwiseToken({internalId, requester}) {
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+    const {tokens: [token]} = await tokens.create({internalId, tokenCount: 1});
+    const {pairwiseToken} = await tokens.resolve({requester, token});
+    return pairwiseToken;
+  }
+
+  it('should rotate pairwise tokens for a requester', async function() {
+    const internalId1 = await documents._generateInternalId();
+    const internalId2 = await documents._generateInternalId();
+    const pairwiseToken1 = await _resolvePairwiseToken(
+      {internalId: internalId1, requester});
+    const pairwiseToken2 = await _resolvePairwiseToken(
+      {internalId: internalId2, requester});
+    const otherPairwiseToken = await _resolvePairwiseToken(
+      {internalId: internalId1, requester: `${requester}-other`});
+
+    const {rotatedCount} = await tokens.rotatePairwiseTokens({requester});
+    rotatedCount.should.equal(2);
+
+    // new values are returned when resolving tokens
+    const newPairwiseToken1 = await _resolvePairwiseToken(
+      {internalId: internalId1, requester});
+    newPairwiseToken1.should.not.eql(pairwiseToken1);
+
+    // old values are reported as superseded
+    const result1 = await tokens.resolvePairwiseToken(
+      {pairwiseToken: pairwiseToken1});
+    result1.internalId.should.eql(internalId1);
+    result1.superseded.should.equal(true);
+    const result2 = await tokens.resolvePairwiseToken(
+      {pairwiseToken: pairwiseToken2});
+    result2.internalId.should.eql(internalId2);
+    result2.superseded.should.equal(true);
+    const newResult1 = await tokens.resolvePairwiseToken(
+      {pairwiseToken: newPairwiseToken1});
+    newResult1.internalId.should.eql(internalId1);
+    newResult1.superseded.should.equal(false);
+
+    // other requesters' pairwise tokens are not rotated
+    const otherResult = await tokens.resolvePairwiseToken(
+      {pairwiseToken: otherPairwiseToken});
+    otherResult.superseded.should.equal(false);
+  });
+  it('should rotate pairwise tokens for an entity', async function() {
+    const internalId = await documents._generateInternalId();
+    const otherRequester = `${requester}-other`;
+    const pairwiseToken1 = await _resolvePairwiseToken(
+      {internalId, requester});
+    const pairwiseToken2 = await _resolvePairwiseToken(
+      {internalId, requester: otherRequester});
+
+    const {rotatedCount} = await tokens.rotatePairwiseTokens({internalId});
+    rotatedCount.should.equal(2);
+
+    const {pairwiseToken: record1} = await tokens.getPairwiseToken(
+      {internalId, requester});
+    record1.value.should.not.eql(Buffer.from(pairwiseToken1));
+    record1.previousValue.should.eql(Buffer.from(pairwiseToken1));
+    const {pairwiseToken: record2} = await tokens.getPairwiseToken(
+      {internalId, requester: otherRequester});
+    record2.value.should.not.eql(Buffer.from(pairwiseToken2));
+  });
+  it('should not resolve replaced values after the overlap period',
+    async function() {
+      const {pairwiseTokenRotationOverlap} = bedrock.config.tokenization;
+      bedrock.config.tokenization.pairwiseTokenRotationOverlap = 0;
+      try {
+        const internalId = await documents._generateInternalId();
+        const pairwiseToken = await _resolvePairwiseToken(
+          {internalId, requester});
+        await tokens.rotatePairwiseTokens({requester});
+
+        let err;
+        try {
+          await tokens.resolvePairwiseToken({pairwiseToken});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      } finally {
+        bedrock.config.tokenization.pairwiseTokenRotationOverlap =
+          pairwiseTokenRotationOverlap;
+      }
+    });
+  it('should not rotate by requester when not enabled by configuration',
+    async function() {
+      const previousConfigValue = bedrock.config.tokenization
+        .ensurePairwiseTokenRequesterIndex;
+      bedrock.config.tokenization.ensurePairwiseTokenRequesterIndex = false;
+      try {
+        const internalId = await documents._generateInternalId();
+        const pairwiseToken = await _resolvePairwiseToken(
+          {internalId, requester});
+
+        let err;
+        try {
+          await tokens.rotatePairwiseTokens({requester});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+
+        // rotating by entity does not need the requester index
+        const {rotatedCount} = await tokens.rotatePairwiseTokens(
+          {internalId, requester});
+        rotatedCount.should.equal(1);
+        const {pairwiseToken: record} = await tokens.getPairwiseToken(
+          {internalId, requester});
+        record.value.should.not.eql(Buffer.from(pairwiseToken));
+      } finally {
+        bedrock.config.tokenization.ensurePairwiseTokenRequesterIndex =
+          previousConfigValue;
+      }
+    });
+  it('should require a requester or internal ID', async function() {
+    let err;
+    try {
+      await tokens.rotatePairwiseTokens({});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+});
+
+describe('Derived pairwise tokens', function() {
+  let pairwiseTokenMode;
+  let pairwiseTokenDerivationTokenizerId;
+  let requester;
+  before(async function() {
+    ({
+      pairwiseTokenMode, pairwiseTokenDerivationTokenizerId
+    } = bedrock.config.tokenization);
+    bedrock.config.tokenization.pairwiseTokenMode = 'derived';
+    const {id} = await tokenizers.getCurrent();
+    bedrock.config.tokenization.pairwiseTokenDerivationTokenizerId = id;
+  });
+  after(async function() {
+    bedrock.config.tokenization.pairwiseTokenMode = pairwiseTokenMode;
+    bedrock.config.tokenization.pairwiseTokenDerivationTokenizerId =
+      pairwiseTokenDerivationTokenizerId;
+  });
+  beforeEach(async function() {
+    // use a unique requester for each test
+    requester = `requester-${crypto.randomUUID()}`;
+  });
+  it('should resolve tokens to derived pairwise tokens', async function() {
+    const internalId = await documents._generateInternalId();
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token1, token2, token3]} = await tokens.create(
+      {internalId, tokenCount: 3});
+    const resolution1 = await tokens.resolve({requester, token: token1});
+    const {results} = await tokens.resolveMany(
+      {requester, tokens: [token1, token2]});
+    const resolution2 = await tokens.resolve(
+      {requester: `${requester}-other`, token: token3});
+    resolution1.pairwiseToken.should.eql(results[0].result.pairwiseToken);
+    resolution1.pairwiseToken.should.eql(results[1].result.pairwiseToken);
+    resolution1.pairwiseToken.should.not.eql(resolution2.pairwiseToken);
+
+    // derived pairwise tokens are not stored
+    let err;
+    try {
+      await tokens.getPairwiseToken({internalId, requester});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+  it('should resolve a derived pairwise token given candidate IDs',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const otherInternalId = await documents._generateInternalId();
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token]} = await tokens.create(
+        {internalId, tokenCount: 1});
+      const {pairwiseToken} = await tokens.resolve({requester, token});
+
+      const result = await tokens.resolvePairwiseToken({
+        pairwiseToken, requester, internalIds: [otherInternalId, internalId]
+      });
+      result.internalId.should.eql(internalId);
+      result.superseded.should.equal(false);
+
+      let err;
+      try {
+        await tokens.resolvePairwiseToken({
+          pairwiseToken, requester, internalIds: [otherInternalId]
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  it('should require a derivation tokenizer ID', async function() {
+    const internalId = await documents._generateInternalId();
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token]} = await tokens.create({internalId, tokenCount: 1});
+    const {pairwiseTokenDerivationTokenizerId: id} =
+      bedrock.config.tokenization;
+    bedrock.config.tokenization.pairwiseTokenDerivationTokenizerId = null;
+    let err;
+    try {
+      await tokens.resolve({requester, token});
+    } catch(e) {
+      err = e;
+    } finally {
+      bedrock.config.tokenization.pairwiseTokenDerivationTokenizerId = id;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('should not rotate derived pairwise tokens', async function() {
+    let err;
+    try {
+      await tokens.rotatePairwiseTokens({requester});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+  });
+});
+
+describe('Pairwise token epochs', function() {
+  const EPOCH_LENGTH = 30 * 24 * 60 * 60 * 1000;
+  let pairwiseTokenEpochLength;
+  let requester;
+  before(async function() {
+    ({pairwiseTokenEpochLength} = bedrock.config.tokenization);
+    bedrock.config.tokenization.pairwiseTokenEpochLength = EPOCH_LENGTH;
+  });
+  after(async function() {
+    bedrock.config.tokenization.pairwiseTokenEpochLength =
+      pairwiseTokenEpochLength;
+  });
+  beforeEach(async function() {
+    // use a unique requester for each test
+    requester = `requester-${crypto.randomUUID()}`;
+  });
+  it('should scope pairwise tokens to the current epoch', async function() {
+    const internalId = await documents._generateInternalId();
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token1, token2]} = await tokens.create(
+      {internalId, tokenCount: 2});
+    const epoch = Math.floor(Date.now() / EPOCH_LENGTH);
+    const resolution1 = await tokens.resolve({requester, token: token1});
+    resolution1.validUntil.getTime().should.be.at.most(
+      (epoch + 1) * EPOCH_LENGTH);
+    const {pairwiseToken: record} = await tokens.getPairwiseToken(
+      {internalId, requester});
+    record.epoch.should.equal(epoch);
+
+    // move the pairwise token to the previous epoch
+    await database.collections['tokenization-pairwiseToken'].updateOne(
+      {'pairwiseToken.internalId': internalId},
+      {$set: {'pairwiseToken.epoch': epoch - 1}});
+
+    // a new pairwise token is returned for the current epoch, even for an
+    // already resolved token
+    const resolution2 = await tokens.resolve({requester, token: token1});
+    resolution2.pairwiseToken.should.not.eql(resolution1.pairwiseToken);
+    const resolution3 = await tokens.resolve({requester, token: token2});
+    resolution3.pairwiseToken.should.eql(resolution2.pairwiseToken);
+
+    // pairwise tokens from previous epochs do not resolve
+    let err;
+    try {
+      await tokens.resolvePairwiseToken(
+        {pairwiseToken: resolution1.pairwiseToken});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+    const result = await tokens.resolvePairwiseToken(
+      {pairwiseToken: resolution2.pairwiseToken});
+    result.internalId.should.eql(internalId);
+  });
+});
+
+describe('Resolution summary', function() {
+  it('should list the requesters that resolved tokens', async function() {
+    const internalId = await documents._generateInternalId();
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token1, token2]} = await tokens.create(
+      {internalId, tokenCount: 2});
+    await tokens.resolve({requester: 'requester1', token: token1});
+    await tokens.resolve({requester: 'requester2', token: token2});
+
+    const {requesters} = await tokens.getResolutionSummary({internalId});
+    requesters.map(({requester}) => requester).should.have.members(
+      ['requester1', 'requester2']);
+    for(const summary of requesters) {
+      summary.should.have.keys(['requester', 'created', 'updated', 'expires']);
+      summary.created.should.be.a('Date');
+      summary.updated.should.be.a('Date');
+      summary.expires.should.be.a('Date');
+    }
+  });
+  it('should report sectors and requesters without internal scopes',
+    async function() {
+      const {requesterSectors} = bedrock.config.tokenization;
+      bedrock.config.tokenization.requesterSectors = {
+        'https://a.example': 'https://sector.example'
+      };
+      try {
+        const internalId = await documents._generateInternalId();
+
+        // upsert mock entity the token is for
+        await entities._upsert({internalId, ttl: 60000});
+
+        const {tokens: [token1, token2]} = await tokens.create(
+          {internalId, tokenCount: 2});
+        await tokens.resolve({requester: 'https://a.example', token: token1});
+        await tokens.resolve(
+          {requester: 'sector:https://sector.example', token: token2});
+
+        const {requesters} = await tokens.getResolutionSummary({internalId});
+        requesters.length.should.equal(2);
+        const sectorSummary = requesters.find(({sector}) => sector);
+        sectorSummary.sector.should.equal('https://sector.example');
+        sectorSummary.should.not.have.property('requester');
+        const requesterSummary = requesters.find(({requester}) => requester);
+        requesterSummary.requester.should.equal(
+          'sector:https://sector.example');
+        requesterSummary.should.not.have.property('sector');
+      } finally {
+        bedrock.config.tokenization.requesterSectors = requesterSectors;
+      }
+    });
+  it('should not summarize derived pairwise tokens', async function() {
+    const {pairwiseTokenMode} = bedrock.config.tokenization;
+    bedrock.config.tokenization.pairwiseTokenMode = 'derived';
+    let err;
+    try {
+      const internalId = await documents._generateInternalId();
+      await tokens.getResolutionSummary({internalId});
+    } catch(e) {
+      err = e;
+    } finally {
+      bedrock.config.tokenization.pairwiseTokenMode = pairwiseTokenMode;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+  });
+  it('should return no requesters for an unresolved entity',
+    async function() {
+      const internalId = await documents._generateInternalId();
+      const {requesters} = await tokens.getResolutionSummary({internalId});
+      requesters.should.eql([]);
+    });
+});
+
+describe('Resolution meta refresh', function() {
+  let requester;
+  beforeEach(async function() {
+    // use a unique requester for each test
+    requester = `requester-${crypto.randomUUID()}`;
+  });
+  it('should get current resolution meta via a pairwise token',
+    async function() {
+      const internalId = await documents._generateInternalId();
+
+      // upsert mock entity the token is for
+      await entities._upsert({
+        internalId, ttl: 60000, resolutionMeta: {a: 1}
+      });
+
+      const {tokens: [token]} = await tokens.create(
+        {internalId, tokenCount: 1});
+      const {pairwiseToken} = await tokens.resolve({requester, token});
+
+      // update entity's resolution meta
+      await database.collections['tokenization-entity'].updateOne(
+        {'entity.internalId': internalId},
+        {$set: {'entity.resolutionMeta': {a: 2}}});
+
+      const result = await tokens.getResolutionMeta(
+        {requester, pairwiseToken});
+      result.resolutionMeta.should.eql({a: 2});
+    });
+  it('should not get resolution meta for another requester',
+    async function() {
+      const internalId = await documents._generateInternalId();
+
+      // upsert mock entity the token is for
+      await entities._upsert({
+        internalId, ttl: 60000, resolutionMeta: {a: 1}
+      });
+
+      const {tokens: [token]} = await tokens.create(
+        {internalId, tokenCount: 1});
+      const {pairwiseToken} = await tokens.resolve({requester, token});
+
+      let err;
+      try {
+        await tokens.getResolutionMeta(
+          {requester: `${requester}-other`, pairwiseToken});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  it('should not get resolution meta via an expired pairwise token',
+    async function() {
+      const internalId = await documents._generateInternalId();
+
+      // upsert mock entity the token is for
+      await entities._upsert({
+        internalId, ttl: 60000, resolutionMeta: {a: 1}
+      });
+
+      const {tokens: [token]} = await tokens.create(
+        {internalId, tokenCount: 1});
+      const {pairwiseToken} = await tokens.resolve({requester, token});
+      await _updatePairwiseToken(
+        {internalId, requester, expires: new Date(Date.now() - 1000)});
+
+      let err;
+      try {
+        await tokens.getResolutionMeta({requester, pairwiseToken});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+});
+
+describe('Resolution assertions', function() {
+  let resolutionAssertions;
+  let requester;
+  before(async function() {
+    ({resolutionAssertions} = bedrock.config.tokenization);
+    const {privateKey} = crypto.generateKeyPairSync('ed25519');
+    bedrock.config.tokenization.resolutionAssertions = {
+      privateKeyJwk: privateKey.export({format: 'jwk'}),
+      kid: 'urn:test:key'
+    };
+  });
+  after(async function() {
+    bedrock.config.tokenization.resolutionAssertions = resolutionAssertions;
+  });
+  beforeEach(async function() {
+    // use a unique requester for each test
+    requester = `requester-${crypto.randomUUID()}`;
+  });
+  it('should create and verify a resolution assertion', async function() {
+    const internalId = await documents._generateInternalId();
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000, resolutionMeta: {a: 1}});
+
+    const {tokens: [token1, token2]} = await tokens.create(
+      {internalId, tokenCount: 2});
+    const result = await tokens.resolve(
+      {requester, token: token1, levelOfAssurance: 2, assertion: true});
+    result.assertion.should.be.a('string');
+
+    const verified = tokens.verifyResolutionAssertion(
+      {assertion: result.assertion});
+    verified.requester.should.equal(requester);
+    verified.pairwiseToken.should.eql(new Uint8Array(result.pairwiseToken));
+    verified.validUntil.getTime().should.equal(
+      Math.floor(result.validUntil.getTime() / 1000) * 1000);
+    verified.minAssuranceForResolution.should.equal(
+      result.minAssuranceForResolution);
+    verified.resolutionMeta.should.eql({a: 1});
+    verified.issued.should.be.a('Date');
+
+    const {results} = await tokens.resolveMany(
+      {requester, tokens: [token2], levelOfAssurance: 2, assertion: true});
+    const verified2 = tokens.verifyResolutionAssertion(
+      {assertion: results[0].result.assertion});
+    verified2.pairwiseToken.should.eql(verified.pairwiseToken);
+  });
+  it('should not verify a tampered resolution assertion', async function() {
+    const internalId = await documents._generateInternalId();
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token]} = await tokens.create({internalId, tokenCount: 1});
+    const {assertion} = await tokens.resolve(
+      {requester, token, assertion: true});
+    const [header, payload, signature] = assertion.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    claims.aud = `${requester}-other`;
+    const tampered = [
+      header, Buffer.from(JSON.stringify(claims)).toString('base64url'),
+      signature
+    ].join('.');
+
+    let err;
+    try {
+      tokens.verifyResolutionAssertion({assertion: tampered});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+    err.message.should.equal('Invalid resolution assertion.');
+  });
+  it('should not resolve with an assertion if no key is configured',
+    async function() {
+      const {privateKeyJwk} = bedrock.config.tokenization.resolutionAssertions;
+      bedrock.config.tokenization.resolutionAssertions.privateKeyJwk = null;
+      try {
+        const internalId = await documents._generateInternalId();
+
+        // upsert mock entity the token is for
+        await entities._upsert({internalId, ttl: 60000});
+
+        const {tokens: [token]} = await tokens.create(
+          {internalId, tokenCount: 1});
+        let err;
+        try {
+          await tokens.resolve({requester, token, assertion: true});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+
+        // token must not have been bound to the requester
+        const {tokenBatch} = await getTokenBatch({internalId});
+        should.not.exist(tokenBatch.resolution);
+      } finally {
+        bedrock.config.tokenization.resolutionAssertions.privateKeyJwk =
+          privateKeyJwk;
+      }
+    });
+});
+
+describe('TokensDuplicateError', function() {
+  let randomBytesStub;
+  before(() => {
+    randomBytesStub = sinon.stub(crypto, 'randomBytes').callsFake(
+      (size, cb) => {
+        if(size > MAX_UINT32) {
+          throw new RangeError('requested too many random bytes');
+        }
+        // allocate a zero filled buffer which is returned without further
+        // modification
+        const bytes = Buffer.alloc(size);
+        if(typeof cb === 'function') {
+          return process.nextTick(function() {
+            cb(null, bytes);
+          });
+        }
+        return bytes;
+      });
+  });
+  after(() => {
+    randomBytesStub.restore();
+  });
+  it('should throw duplicate error if token is created twice.',
+    async function() {
+      // crypto.randomBytes has been stubbed so that the same batch ID will be
+      // generated everytime, and we are consuming all tokens in the first batch
+      // associated with the internalId so that when a new batch is created, the
+      // same ID is generated and the error occurs.
+      const tokenCount = 100;
+      const attributes = new Uint8Array([1]);
+      const internalId = await documents._generateInternalId();
+      let err;
+      let result2;
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const result1 = await tokens.create({internalId, attributes, tokenCount});
+      try {
+        // create token again with same parameters
+        result2 = await tokens.create({internalId, attributes, tokenCount});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(result1);
+      should.not.exist(result2);
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+      err.message.should.equal('Duplicate token batch.');
+    });
+});
+
+describe('Tokens Database Tests', function() {
+  describe('Indexes', function() {
+    beforeEach(async () => {
+      const collections = [
+        {
+          collectionName: 'tokenization-tokenBatch',
+          records: [mockTokenBatch, mockTokenBatch2]
+        },
+        {
+          collectionName: 'tokenization-pairwiseToken',
+          records: [mockPairwise, mockPairwise2]
+        }
+      ];
+      for(const collection of collections) {
+        const {collectionName} = collection;
+        await cleanDB({collectionName});
+
+        for(const record of collection.records) {
+          // mutliple records are inserted here in order to do proper assertions
+          // for 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
+          await insertRecord({
+            record, collectionName
+          });
+        }
+      }
+    });
+    it(`is properly indexed for 'tokenBatch.id in _getBatch()`,
+      async function() {
+        const {id} = mockTokenBatch.tokenBatch;
+        const {executionStats} = await tokens._getBatch({id, explain: true});
+        executionStats.nReturned.should.equal(1);
+        executionStats.totalKeysExamined.should.equal(1);
+        executionStats.totalDocsExamined.should.equal(1);
+        executionStats.executionStages.inputStage.inputStage.inputStage.stage
+          .should.equal('IXSCAN');
+        executionStats.executionStages.inputStage.inputStage.inputStage
           .keyPattern.should.eql({'tokenBatch.id': 1});
       });
     it(`is properly indexed for compound query of 'tokenBatch.id' and ` +
@@ -1769,6 +3297,31 @@ describe('Tokens Database Tests', function() {
       executionStats.executionStages.inputStage.inputStage.keyPattern
         .should.eql({'tokenBatch.id': 1});
     });
+    it(`is properly indexed for 'pairwiseToken.internalId' in ` +
+      'getResolutionSummary()', async function() {
+      const internalId = await documents._generateInternalId();
+      const otherInternalId = await documents._generateInternalId();
+      const requester = 'requester';
+      await tokens.upsertPairwiseToken({internalId, requester});
+      await tokens.upsertPairwiseToken(
+        {internalId: otherInternalId, requester});
+      const {executionStats} = await tokens.getResolutionSummary({
+        internalId, explain: true
+      });
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+    });
+    it(`is properly indexed for 'pairwiseToken.requester' in ` +
+      'rotatePairwiseTokens()', async function() {
+      const {requester} = mockPairwise.pairwiseToken;
+      const {executionStats} = await tokens.rotatePairwiseTokens({
+        requester, explain: true
+      });
+      executionStats.nReturned.should.equal(2);
+      executionStats.totalKeysExamined.should.equal(2);
+      executionStats.totalDocsExamined.should.equal(2);
+    });
     it(`is properly indexed for compound query of 'pairwiseToken.internalId' ` +
       `and 'pairwiseToken.requester' in _getPairwiseToken()`, async function() {
       const {internalId, requester} = mockPairwise.pairwiseToken;
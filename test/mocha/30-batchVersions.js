@@ -33,6 +33,36 @@ describe('BatchVersions', function() {
     should.exist(err);
     err.message.should.include('tokenizerId (string) is required');
   });
+  it('should fail to create a BatchVersion with too many tokens per batch',
+    async function() {
+      let err;
+      try {
+        // more than 256 tokens requires a larger `batchIndexSize` and
+        // `batchResolutionListLength`
+        const options = {
+          batchIdSize: 16, batchSaltSize: 16, batchTokenCount: 1000
+        };
+        await batchVersions.create({
+          id: 0, tokenizerId: 'some-tokenizerId', options
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('RangeError');
+      err.message.should.equal(
+        '"batchTokenCount" must be an integer from 1 to 256.');
+    });
+  it('should get default index options for a BatchVersion', async function() {
+    const batchVersion = {
+      id: 0,
+      tokenizerId: 'some-tokenizerId',
+      options: {batchIdSize: 16, batchSaltSize: 16, batchTokenCount: 100}
+    };
+    const result = batchVersions.getIndexOptions({batchVersion});
+    result.should.deep.equal(
+      {batchIndexSize: 1, batchResolutionListLength: 256});
+  });
   it('should ensureBatchVersion when no existing version', async function() {
     const tokenizerId = 'no-existing-version';
     const result = await batchVersions.ensureBatchVersion({tokenizerId});
@@ -1,9 +1,13 @@
 /*!
  * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import * as database from '@bedrock/mongodb';
 import {cleanDB, insertRecord} from './helpers.js';
+import {
+  documents, entities, resolutionEvents, tokens
+} from '@bedrock/tokenization';
 import {mockEntity1, mockEntity2, mockEntity3} from './mock.data.js';
-import {entities} from '@bedrock/tokenization';
+import crypto from 'node:crypto';
 import {IdGenerator} from 'bnid';
 
 describe('Entities Database Tests', function() {
@@ -100,6 +104,20 @@ describe('Entities Database Tests', function() {
             {'entity.internalId': 1});
         }
       });
+    it(`is properly indexed for 'entity.internalId' in _shortenExpires()`,
+      async function() {
+        const {internalId} = mockEntity1.entity;
+        const {executionStats} = await entities._shortenExpires({
+          internalId, expires: new Date(), explain: true
+        });
+        executionStats.nReturned.should.equal(1);
+        executionStats.totalKeysExamined.should.equal(1);
+        executionStats.totalDocsExamined.should.equal(1);
+        executionStats.executionStages.inputStage.inputStage.stage
+          .should.equal('IXSCAN');
+        executionStats.executionStages.inputStage.inputStage.keyPattern
+          .should.eql({'entity.internalId': 1});
+      });
     it(`is properly indexed for 'entity.internalId' and ` +
       `'entity.batchInvalidationCount' in ` +
       '_setOpenTokenBatchId()', async function() {
@@ -205,3 +223,165 @@ describe('Entities Database Tests', function() {
       });
   });
 });
+
+describe('Entity erasure', function() {
+  let externalId;
+  let requester;
+  beforeEach(async function() {
+    externalId = `did:test:erase:${crypto.randomUUID()}`;
+    requester = `requester-${crypto.randomUUID()}`;
+  });
+
+  async function _setup() {
+    const {registration: {internalId}} = await documents.register({
+      externalId, document: {example: 'document'}, store: false, ttl: 60000
+    });
+    const {tokens: [token1, token2]} = await tokens.create(
+      {internalId, tokenCount: 2});
+    await tokens.resolve({requester, token: token1, levelOfAssurance: 2});
+    return {internalId, resolvedToken: token1, token: token2};
+  }
+
+  async function _assertTokenNotFound(promise) {
+    let err;
+    try {
+      await promise;
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+    err.message.should.equal('Token not found.');
+  }
+
+  it('should erase an entity by externalId', async function() {
+    const {internalId, token} = await _setup();
+
+    const report = await entities.erase({externalId});
+    report.entities.length.should.equal(1);
+    const [erased] = report.entities;
+    erased.internalId.should.eql(internalId);
+    erased.entityErased.should.equal(true);
+    erased.removed.should.eql(
+      {registrations: 1, pairwiseTokens: 1, resolutionEvents: 1});
+
+    // outstanding tokens must fail consistently
+    await _assertTokenNotFound(
+      tokens.resolve({requester, token, levelOfAssurance: 2}));
+    await _assertTokenNotFound(tokens.resolveToEntity({token}));
+    await _assertTokenNotFound(tokens.resolveToInternalId({token}));
+    const {results} = await tokens.resolveMany(
+      {requester, tokens: [token], levelOfAssurance: 2});
+    results[0].error.message.should.equal('Token not found.');
+
+    let err;
+    try {
+      await entities.get({internalId});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+    const {documents: docs} = await documents.getDocuments(
+      {internalId, keyAgreementKeys: []});
+    docs.length.should.equal(0);
+
+    // failed resolutions above must not be linked to the erased entity
+    const {events} = await resolutionEvents.query({internalId});
+    events.length.should.equal(0);
+  });
+  it('should not relink an erased entity via a resolved token',
+    async function() {
+      const {internalId, resolvedToken} = await _setup();
+      await entities.erase({internalId});
+
+      // `resolvedToken` was already bound to `requester` before erasure
+      for(let i = 0; i < 2; ++i) {
+        await _assertTokenNotFound(tokens.resolve(
+          {requester, token: resolvedToken, levelOfAssurance: 2}));
+      }
+      const collection = database.collections['tokenization-pairwiseToken'];
+      const count = await collection.countDocuments(
+        {'pairwiseToken.internalId': internalId});
+      count.should.equal(0);
+    });
+  it('should erase an entity by internalId', async function() {
+    const {internalId, token} = await _setup();
+
+    const report = await entities.erase({internalId});
+    report.entities.length.should.equal(1);
+    report.entities[0].entityErased.should.equal(true);
+    report.entities[0].removed.registrations.should.equal(1);
+    report.entities[0].removed.pairwiseTokens.should.equal(1);
+
+    await _assertTokenNotFound(tokens.resolveToEntity({token}));
+
+    // erasing again must find nothing more to remove
+    const report2 = await entities.erase({internalId});
+    report2.entities[0].entityErased.should.equal(false);
+    report2.entities[0].removed.should.eql(
+      {registrations: 0, pairwiseTokens: 0, resolutionEvents: 0});
+  });
+  it('should not register documents for an erased entity', async function() {
+    const {internalId} = await _setup();
+    await entities.erase({internalId});
+
+    let err;
+    try {
+      await entities._upsert({internalId, ttl: 60000});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.message.should.equal('Entity has been erased.');
+
+    for(const newRegistration of [undefined, true]) {
+      err = undefined;
+      try {
+        await documents.register({
+          internalId, externalId, document: {example: 'document'},
+          store: false, ttl: 60000, newRegistration
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    }
+    const {documents: docs} = await documents.getDocuments(
+      {internalId, keyAgreementKeys: []});
+    docs.length.should.equal(0);
+  });
+  it('should throw NotFoundError for an unknown internalId', async function() {
+    let err;
+    try {
+      await entities.erase({internalId: await documents._generateInternalId()});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+  it('should throw NotFoundError for an unknown externalId', async function() {
+    let err;
+    try {
+      await entities.erase({externalId});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+  it('should require exactly one of internalId or externalId',
+    async function() {
+      let err;
+      try {
+        await entities.erase({});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+});
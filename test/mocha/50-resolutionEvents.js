@@ -0,0 +1,215 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {
+  documents, entities, resolutionEvents, tokens
+} from '@bedrock/tokenization';
+import {cleanDB} from './helpers.js';
+import crypto from 'node:crypto';
+import sinon from 'sinon';
+
+describe('Resolution Events', function() {
+  let requester;
+  beforeEach(async function() {
+    // use a unique requester for each test
+    requester = `requester-${crypto.randomUUID()}`;
+  });
+  it('should record a successful resolution', async function() {
+    const internalId = await documents._generateInternalId();
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token]} = await tokens.create({internalId, tokenCount: 1});
+    await tokens.resolve({requester, token, levelOfAssurance: 2});
+
+    const {events, cursor} = await resolutionEvents.query({requester});
+    should.not.exist(cursor);
+    events.length.should.equal(1);
+    const [event] = events;
+    event.requester.should.equal(requester);
+    event.outcome.should.equal('success');
+    event.levelOfAssurance.should.equal(2);
+    event.internalId.should.eql(internalId);
+    event.date.should.be.a('Date');
+    should.not.exist(event.batchId);
+  });
+  it('should record failed resolutions', async function() {
+    const internalId = await documents._generateInternalId();
+    const otherRequester = `${requester}-other`;
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: [token]} = await tokens.create({internalId, tokenCount: 1});
+    await tokens.resolve({requester: otherRequester, token});
+
+    // token already used by another requester
+    let err;
+    try {
+      await tokens.resolve({requester, token, levelOfAssurance: 2});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+
+    // invalid token
+    const {results} = await tokens.resolveMany({
+      requester, tokens: [new Uint8Array([1, 2, 3])]
+    });
+    should.exist(results[0].error);
+
+    const {events} = await resolutionEvents.query({requester});
+    events.length.should.equal(2);
+    const outcomes = events.map(({outcome}) => outcome);
+    outcomes.should.include.members(['alreadyUsed', 'invalid']);
+    const alreadyUsed = events.find(({outcome}) => outcome === 'alreadyUsed');
+    alreadyUsed.internalId.should.eql(internalId);
+    const invalid = events.find(({outcome}) => outcome === 'invalid');
+    should.not.exist(invalid.internalId);
+
+    // query by `internalId` and `outcome`
+    const {events: events2} = await resolutionEvents.query(
+      {internalId, outcome: 'success'});
+    events2.length.should.equal(1);
+    events2[0].requester.should.equal(otherRequester);
+  });
+  it('should not classify outcomes by error message', async function() {
+    const error = new Error('Token already used.');
+    resolutionEvents._getOutcome({error}).should.equal('error');
+    resolutionEvents._setOutcome({error, outcome: 'alreadyUsed'});
+    resolutionEvents._getOutcome({error}).should.equal('alreadyUsed');
+  });
+  it('should paginate resolution events', async function() {
+    const internalId = await documents._generateInternalId();
+
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+
+    const {tokens: tks} = await tokens.create({internalId, tokenCount: 3});
+    const {results} = await tokens.resolveMany({requester, tokens: tks});
+    results.forEach(({result}) => should.exist(result));
+
+    const page1 = await resolutionEvents.query({requester, limit: 2});
+    page1.events.length.should.equal(2);
+    should.exist(page1.cursor);
+    const page2 = await resolutionEvents.query(
+      {requester, limit: 2, cursor: page1.cursor});
+    page2.events.length.should.equal(1);
+    should.not.exist(page2.cursor);
+
+    // pages must not overlap
+    const ids = [...page1.events, ...page2.events].map(
+      ({id}) => id.toString('base64url'));
+    new Set(ids).size.should.equal(3);
+  });
+  it('should not record events when disabled', async function() {
+    const {resolutionEvents: config} = bedrock.config.tokenization;
+    const {enabled} = config;
+    config.enabled = false;
+    try {
+      const recorded = await resolutionEvents._record({
+        events: [{requester, outcome: 'success'}]
+      });
+      recorded.should.equal(false);
+    } finally {
+      config.enabled = enabled;
+    }
+    const {events} = await resolutionEvents.query({requester});
+    events.length.should.equal(0);
+  });
+  it('should report dropped events without failing resolution',
+    async function() {
+      const internalId = await documents._generateInternalId();
+
+      // upsert mock entity the token is for
+      await entities._upsert({internalId, ttl: 60000});
+
+      const {tokens: [token]} = await tokens.create(
+        {internalId, tokenCount: 1});
+      const dropped = [];
+      const listener = ({events, error}) => dropped.push({events, error});
+      bedrock.events.on(
+        'bedrock-tokenization.resolutionEvents.dropped', listener);
+      const collection = database.collections['tokenization-resolutionEvent'];
+      const stub = sinon.stub(collection, 'insertMany').rejects(
+        new Error('Insert failed.'));
+      try {
+        const result = await tokens.resolve(
+          {requester, token, levelOfAssurance: 2});
+        result.internalId.should.eql(internalId);
+      } finally {
+        stub.restore();
+        bedrock.events.removeListener(
+          'bedrock-tokenization.resolutionEvents.dropped', listener);
+      }
+      dropped.length.should.equal(1);
+      dropped[0].error.message.should.equal('Insert failed.');
+      dropped[0].events.length.should.equal(1);
+      dropped[0].events[0].requester.should.equal(requester);
+      dropped[0].events[0].outcome.should.equal('success');
+    });
+  it('should require a requester or internal ID', async function() {
+    let err;
+    try {
+      await resolutionEvents.query({});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+});
+
+describe('Resolution Events Database Tests', function() {
+  describe('Indexes', function() {
+    const requester = 'requester';
+    let internalId;
+    beforeEach(async () => {
+      const collectionName = 'tokenization-resolutionEvent';
+      await cleanDB({collectionName});
+
+      internalId = await documents._generateInternalId();
+      const otherInternalId = await documents._generateInternalId();
+
+      // multiple records are inserted here in order to do proper assertions
+      // for 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
+      await resolutionEvents._record({
+        events: [
+          {requester, outcome: 'success', internalId},
+          {requester: 'other', outcome: 'success', internalId},
+          {requester, outcome: 'success', internalId: otherInternalId}
+        ]
+      });
+    });
+    it(`is properly indexed for 'resolutionEvent.requester' in query()`,
+      async function() {
+        const {executionStats} = await resolutionEvents.query({
+          requester, explain: true
+        });
+        executionStats.nReturned.should.equal(2);
+        executionStats.totalKeysExamined.should.equal(2);
+        executionStats.totalDocsExamined.should.equal(2);
+      });
+    it(`is properly indexed for 'resolutionEvent.internalId' in ` +
+      '_removeAll()', async function() {
+      const {executionStats} = await resolutionEvents._removeAll({
+        internalId, explain: true
+      });
+      executionStats.nReturned.should.equal(2);
+      executionStats.totalKeysExamined.should.equal(2);
+      executionStats.totalDocsExamined.should.equal(2);
+    });
+    it(`is properly indexed for 'resolutionEvent.internalId' in query()`,
+      async function() {
+        const {executionStats} = await resolutionEvents.query({
+          internalId, explain: true
+        });
+        executionStats.nReturned.should.equal(2);
+        executionStats.totalKeysExamined.should.equal(2);
+        executionStats.totalDocsExamined.should.equal(2);
+      });
+  });
+});
@@ -0,0 +1,205 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import {cleanDB, getTokenBatch} from './helpers.js';
+import {
+  documents, entities, requesters, tokens
+} from '@bedrock/tokenization';
+import crypto from 'node:crypto';
+
+describe('Requesters', function() {
+  let id;
+  beforeEach(async function() {
+    // use a unique requester for each test
+    id = `requester-${crypto.randomUUID()}`;
+  });
+  it('should create, get, and update a requester', async function() {
+    const allowedAttributes = [new Uint8Array([1])];
+    await requesters.create({
+      id, displayName: 'Requester', policy: {allowedAttributes}
+    });
+
+    const {requester} = await requesters.get({id});
+    requester.id.should.equal(id);
+    requester.displayName.should.equal('Requester');
+    requester.status.should.equal('active');
+    requester.policy.allowedAttributes.length.should.equal(1);
+    Buffer.from(requester.policy.allowedAttributes[0]).should.eql(
+      Buffer.from(allowedAttributes[0]));
+
+    const updated = await requesters.update({
+      id, status: 'suspended', policy: {minAssuranceForResolution: 3}
+    });
+    updated.should.equal(true);
+    const {requester: requester2} = await requesters.get({id});
+    requester2.displayName.should.equal('Requester');
+    requester2.status.should.equal('suspended');
+    requester2.policy.should.eql({minAssuranceForResolution: 3});
+  });
+  it('should not create a duplicate requester', async function() {
+    await requesters.create({id});
+    let err;
+    try {
+      await requesters.create({id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+  });
+  it('should not create a requester with an invalid status',
+    async function() {
+      let err;
+      try {
+        await requesters.create({id, status: 'unknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+  it('should throw NotFoundError when updating an unknown requester',
+    async function() {
+      let err;
+      try {
+        await requesters.update({id, status: 'suspended'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+});
+
+describe('Requester registry enforcement', function() {
+  let id;
+  let enforce;
+  before(async function() {
+    ({enforce} = bedrock.config.tokenization.requesterRegistry);
+    bedrock.config.tokenization.requesterRegistry.enforce = true;
+  });
+  after(async function() {
+    bedrock.config.tokenization.requesterRegistry.enforce = enforce;
+  });
+  beforeEach(async function() {
+    // use a unique requester for each test
+    id = `requester-${crypto.randomUUID()}`;
+  });
+
+  async function _createToken({attributes} = {}) {
+    const internalId = await documents._generateInternalId();
+    // upsert mock entity the token is for
+    await entities._upsert({internalId, ttl: 60000});
+    const {tokens: [token]} = await tokens.create(
+      {internalId, attributes, tokenCount: 1});
+    return {internalId, token};
+  }
+
+  it('should not resolve a token for an unknown requester', async function() {
+    const {internalId, token} = await _createToken();
+    let err;
+    try {
+      await tokens.resolve({requester: id, token, levelOfAssurance: 2});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.message.should.equal('Unknown requester.');
+
+    // token must not have been bound to the requester
+    const {tokenBatch} = await getTokenBatch({internalId});
+    should.not.exist(tokenBatch.resolution);
+
+    // `resolveMany` must also fail for every token
+    const {results} = await tokens.resolveMany(
+      {requester: id, tokens: [token]});
+    results[0].error.message.should.equal('Unknown requester.');
+  });
+  it('should not resolve a token for a suspended requester',
+    async function() {
+      await requesters.create({id, status: 'suspended'});
+      const {token} = await _createToken();
+      let err;
+      try {
+        await tokens.resolve({requester: id, token, levelOfAssurance: 2});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal('Requester has been suspended.');
+    });
+  it('should resolve a token for an active requester', async function() {
+    await requesters.create({id});
+    const {internalId, token} = await _createToken();
+    const result = await tokens.resolve(
+      {requester: id, token, levelOfAssurance: 2});
+    result.internalId.should.eql(internalId);
+  });
+  it('should apply a requester minimum level of assurance',
+    async function() {
+      await requesters.create({id, policy: {minAssuranceForResolution: 3}});
+      const {internalId, token} = await _createToken();
+      let err;
+      try {
+        await tokens.resolve({requester: id, token, levelOfAssurance: 2});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.details.minAssuranceForResolution.should.equal(3);
+
+      const result = await tokens.resolve(
+        {requester: id, token, levelOfAssurance: 3});
+      result.internalId.should.eql(internalId);
+    });
+  it('should apply requester allowed attributes', async function() {
+    await requesters.create({
+      id, policy: {allowedAttributes: [new Uint8Array([2])]}
+    });
+    const {token: token1} = await _createToken(
+      {attributes: new Uint8Array([1])});
+    const {internalId, token: token2} = await _createToken(
+      {attributes: new Uint8Array([2])});
+
+    const {results} = await tokens.resolveMany(
+      {requester: id, tokens: [token1, token2], levelOfAssurance: 2});
+    results[0].error.message.should.equal(
+      'Token attributes are not allowed for requester.');
+    results[1].result.internalId.should.eql(internalId);
+  });
+});
+
+describe('Requesters Database Tests', function() {
+  describe('Indexes', function() {
+    beforeEach(async () => {
+      const collectionName = 'tokenization-requester';
+      await cleanDB({collectionName});
+
+      // multiple records are inserted here in order to do proper assertions
+      // for 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
+      await requesters.create({id: 'requester1'});
+      await requesters.create({id: 'requester2'});
+    });
+    it(`is properly indexed for 'requester.id' in get()`, async function() {
+      const {executionStats} = await requesters.get({
+        id: 'requester1', explain: true
+      });
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+    });
+    it(`is properly indexed for 'requester.id' in update()`,
+      async function() {
+        const {executionStats} = await requesters.update({
+          id: 'requester1', status: 'suspended', explain: true
+        });
+        executionStats.nReturned.should.equal(1);
+        executionStats.totalKeysExamined.should.equal(1);
+        executionStats.totalDocsExamined.should.equal(1);
+      });
+  });
+});
@@ -0,0 +1,191 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import {documents, reencryptionJobs} from '@bedrock/tokenization';
+import {cleanDB} from './helpers.js';
+import crypto from 'node:crypto';
+import {
+  X25519KeyAgreementKey2020
+} from '@digitalbazaar/x25519-key-agreement-key-2020';
+
+// this is test data borrowed from minimal-cipher
+const key1 = new X25519KeyAgreementKey2020({
+  id: 'did:key:z6MkwLz9d2sa3FJjni9A7rXmicf9NN3e5xgJPUmdqaFMTgoE#' +
+    'z6LSmgLugoC8vUoK1ouCTGKdqFdpg5jb3H193L6wFJucX14U',
+  controller: 'did:key:z6MkwLz9d2sa3FJjni9A7rXmicf9NN3e5xgJPUmdqaFMTgoE',
+  type: 'X25519KeyAgreementKey2020',
+  publicKeyMultibase: 'z6LSmgLugoC8vUoK1ouCTGKdqFdpg5jb3H193L6wFJucX14U',
+  privateKeyMultibase: 'z3wedGgRfySXFenmev8caU3eqBeDXrzDsdi21ofMZN8s8Exm'
+});
+const key2 = new X25519KeyAgreementKey2020({
+  id: 'did:key:z6MkttYcTAeZbVsBiAmxFj2LNSgNzj5gAdb3hbE4QwmFTK4Z#' +
+    'z6LSjPQz1GARHBL7vnMW8XiH3UYVkgETpyk8oKhXeeFRGpQh',
+  controller: 'did:key:z6MkttYcTAeZbVsBiAmxFj2LNSgNzj5gAdb3hbE4QwmFTK4Z',
+  type: 'X25519KeyAgreementKey2020',
+  publicKeyMultibase: 'z6LSjPQz1GARHBL7vnMW8XiH3UYVkgETpyk8oKhXeeFRGpQh',
+  privateKeyMultibase: 'z3web9AUP49zFCBVEdQ4ksbSmzgi6JqNCA84XNxUAcMDZgZc'
+});
+
+async function _register({recipientChain} = {}) {
+  const externalId = `did:test:reencrypt:${crypto.randomUUID()}`;
+  if(!recipientChain) {
+    recipientChain = [[{header: {kid: key1.id, alg: 'ECDH-ES+A256KW'}}]];
+  }
+  await documents.register({
+    externalId,
+    document: {example: externalId},
+    recipientChain,
+    ttl: 30000
+  });
+  return {externalId};
+}
+
+describe('Re-encryption Jobs', function() {
+  const recipients = [{header: {kid: key2.id, alg: 'ECDH-ES+A256KW'}}];
+  let externalIds;
+  beforeEach(async function() {
+    await cleanDB({collectionName: 'tokenization-registration'});
+    externalIds = [];
+    for(let i = 0; i < 2; ++i) {
+      const {externalId} = await _register();
+      externalIds.push(externalId);
+    }
+  });
+  it('should re-encrypt documents for new recipients', async function() {
+    const {reencryptionJob: {id}} = await reencryptionJobs.create(
+      {recipients});
+    const {reencryptionJob: job} = await reencryptionJobs.run(
+      {id, keyAgreementKey: key1});
+    job.status.should.equal('complete');
+    job.progress.processed.should.equal(2);
+    job.progress.reencrypted.should.equal(2);
+    job.progress.skipped.should.equal(0);
+    job.progress.failed.should.equal(0);
+
+    for(const externalId of externalIds) {
+      const {documents: [result]} = await documents.getDocuments(
+        {externalId, keyAgreementKey: key2});
+      result.document.should.eql({example: externalId});
+      const {documents: [result2]} = await documents.getDocuments(
+        {externalId, keyAgreementKey: key1});
+      should.exist(result2.error);
+    }
+
+    // job must be persisted
+    const {reencryptionJob: job2} = await reencryptionJobs.get({id});
+    job2.status.should.equal('complete');
+    job2.progress.reencrypted.should.equal(2);
+  });
+  it('should not change documents in a dry run', async function() {
+    const {reencryptionJob: {id}} = await reencryptionJobs.create(
+      {recipients, dryRun: true});
+    const {reencryptionJob: job} = await reencryptionJobs.run(
+      {id, keyAgreementKey: key1});
+    job.status.should.equal('dryRunComplete');
+    job.progress.processed.should.equal(2);
+    job.progress.wouldReencrypt.should.equal(2);
+    should.not.exist(job.progress.reencrypted);
+
+    for(const externalId of externalIds) {
+      const {documents: [result]} = await documents.getDocuments(
+        {externalId, keyAgreementKey: key1});
+      result.document.should.eql({example: externalId});
+    }
+  });
+  it('should resume a job', async function() {
+    const {reencryptionJob: {id}} = await reencryptionJobs.create(
+      {recipients});
+    const {reencryptionJob: job} = await reencryptionJobs.run(
+      {id, keyAgreementKey: key1, batchSize: 1, limit: 1});
+    job.status.should.equal('pending');
+    job.progress.processed.should.equal(1);
+    job.progress.reencrypted.should.equal(1);
+
+    const {reencryptionJob: job2} = await reencryptionJobs.run(
+      {id, keyAgreementKey: key1, batchSize: 1});
+    job2.status.should.equal('complete');
+    job2.progress.processed.should.equal(2);
+    job2.progress.reencrypted.should.equal(2);
+
+    for(const externalId of externalIds) {
+      const {documents: [result]} = await documents.getDocuments(
+        {externalId, keyAgreementKey: key2});
+      result.document.should.eql({example: externalId});
+    }
+  });
+  it('should count documents that cannot be decrypted as failed',
+    async function() {
+      // outer layer is encrypted for `key1`, inner layer for `key2`
+      await _register({
+        recipientChain: [
+          [{header: {kid: key2.id, alg: 'ECDH-ES+A256KW'}}],
+          [{header: {kid: key1.id, alg: 'ECDH-ES+A256KW'}}]
+        ]
+      });
+      const {reencryptionJob: {id}} = await reencryptionJobs.create(
+        {recipients});
+      const {reencryptionJob: job} = await reencryptionJobs.run(
+        {id, keyAgreementKey: key1});
+      job.status.should.equal('complete');
+      job.progress.processed.should.equal(3);
+      job.progress.reencrypted.should.equal(2);
+      job.progress.failed.should.equal(1);
+    });
+  it('should count documents that cannot be re-encrypted as failed',
+    async function() {
+      // the key for this recipient cannot be resolved
+      const kid = `urn:test:unknown:${crypto.randomUUID()}`;
+      const recipients = [{header: {kid, alg: 'ECDH-ES+A256KW'}}];
+      const {reencryptionJob: {id}} = await reencryptionJobs.create(
+        {recipients});
+      const {reencryptionJob: job} = await reencryptionJobs.run(
+        {id, keyAgreementKey: key1});
+      job.status.should.equal('complete');
+      job.progress.processed.should.equal(2);
+      job.progress.reencrypted.should.equal(0);
+      job.progress.failed.should.equal(2);
+
+      for(const externalId of externalIds) {
+        const {documents: [result]} = await documents.getDocuments(
+          {externalId, keyAgreementKey: key1});
+        result.document.should.eql({example: externalId});
+      }
+    });
+  it('should throw NotFoundError for an unknown job', async function() {
+    let err;
+    try {
+      await reencryptionJobs.run({
+        id: await documents._generateInternalId(), keyAgreementKey: key1
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+});
+
+describe('Re-encryption Jobs Database Tests', function() {
+  describe('Indexes', function() {
+    let id;
+    beforeEach(async () => {
+      const collectionName = 'tokenization-reencryptionJob';
+      await cleanDB({collectionName});
+
+      // multiple records are inserted here in order to do proper assertions
+      // for 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
+      const recipients = [{header: {kid: key2.id, alg: 'ECDH-ES+A256KW'}}];
+      ({reencryptionJob: {id}} = await reencryptionJobs.create({recipients}));
+      await reencryptionJobs.create({recipients});
+    });
+    it(`is properly indexed for 'reencryptionJob.id' in get()`,
+      async function() {
+        const {executionStats} = await reencryptionJobs.get({
+          id, explain: true
+        });
+        executionStats.nReturned.should.equal(1);
+        executionStats.totalKeysExamined.should.equal(1);
+        executionStats.totalDocsExamined.should.equal(1);
+      });
+  });
+});
@@ -0,0 +1,140 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as base58 from 'base58-universal';
+import * as bedrock from '@bedrock/core';
+import {documents, keyResolver} from '@bedrock/tokenization';
+import {Cipher} from '@digitalbazaar/minimal-cipher';
+import crypto from 'node:crypto';
+import {
+  X25519KeyAgreementKey2020
+} from '@digitalbazaar/x25519-key-agreement-key-2020';
+
+const cipher = new Cipher();
+
+// this is test data borrowed from minimal-cipher; keys are given non-DID IDs
+// as if they were managed by a local KMS
+const publicKeyMultibase = 'z6LSmgLugoC8vUoK1ouCTGKdqFdpg5jb3H193L6wFJucX14U';
+const privateKeyMultibase = 'z3wedGgRfySXFenmev8caU3eqBeDXrzDsdi21ofMZN8s8Exm';
+
+function _createKey({id}) {
+  return new X25519KeyAgreementKey2020({
+    id, type: 'X25519KeyAgreementKey2020', publicKeyMultibase,
+    privateKeyMultibase
+  });
+}
+
+function _createJwk({kid}) {
+  // strip multibase prefix and multicodec header
+  const x = base58.decode(publicKeyMultibase.slice(1)).slice(2);
+  return {
+    kid, kty: 'OKP', crv: 'X25519', x: Buffer.from(x).toString('base64url')
+  };
+}
+
+async function _encryptAndDecrypt({id}) {
+  const recipients = [{header: {kid: id, alg: 'ECDH-ES+A256KW'}}];
+  const document = {example: 'document'};
+  const jwe = await documents._encrypt({document, recipients});
+  jwe.recipients[0].header.kid.should.equal(id);
+  const decrypted = await cipher.decryptObject({
+    jwe, keyAgreementKey: _createKey({id})
+  });
+  decrypted.should.eql(document);
+}
+
+describe('Key Resolver', function() {
+  let id;
+  beforeEach(async function() {
+    id = `urn:test:kms:${crypto.randomUUID()}`;
+  });
+  it('should resolve keys via a registered resolver', async function() {
+    const keyMap = new Map([[id, {type: 'Multikey', publicKeyMultibase}]]);
+    const resolver = keyResolver.createKeyMapResolver({keyMap});
+    keyResolver.register({resolver});
+    try {
+      await _encryptAndDecrypt({id});
+    } finally {
+      keyResolver.unregister({resolver}).should.equal(true);
+    }
+  });
+  it('should resolve map keys with the ID they are mapped from',
+    async function() {
+      const keyMap = new Map([
+        [`${id}:1`, {
+          id: `${id}:other`, type: 'Multikey', publicKeyMultibase
+        }],
+        [`${id}:2`, _createJwk({kid: `${id}:other`})],
+        [`${id}:3`, _createJwk({})]
+      ]);
+      const resolver = keyResolver.createKeyMapResolver({keyMap});
+      for(const suffix of [':1', ':2', ':3']) {
+        const key = await resolver({id: `${id}${suffix}`});
+        key.should.eql({
+          id: `${id}${suffix}`,
+          type: 'X25519KeyAgreementKey2020',
+          publicKeyMultibase
+        });
+      }
+      should.not.exist(await resolver({id: `${id}:other`}));
+    });
+  it('should resolve keys from config', async function() {
+    const {keys} = bedrock.config.tokenization.keyResolver;
+    bedrock.config.tokenization.keyResolver.keys = [_createJwk({kid: id})];
+    try {
+      await _encryptAndDecrypt({id});
+    } finally {
+      bedrock.config.tokenization.keyResolver.keys = keys;
+    }
+  });
+  it('should not resolve unknown non-DID keys', async function() {
+    let err;
+    try {
+      await _encryptAndDecrypt({id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal(`Key ID "${id}" not supported in resolver.`);
+  });
+  it('should resolve inline JWK and Multikey documents', async function() {
+    const resolver = keyResolver.createInlineKeyResolver({
+      keys: [
+        {id: `${id}:1`, type: 'JsonWebKey', publicKeyJwk: _createJwk({})},
+        {id: `${id}:2`, type: 'Multikey', publicKeyMultibase}
+      ]
+    });
+    for(const suffix of [':1', ':2']) {
+      const key = await resolver({id: `${id}${suffix}`});
+      key.should.eql({
+        id: `${id}${suffix}`,
+        type: 'X25519KeyAgreementKey2020',
+        publicKeyMultibase
+      });
+    }
+    should.not.exist(await resolver({id}));
+  });
+  it('should use the first key resolved in a chain', async function() {
+    const resolver = keyResolver.chain({
+      resolvers: [
+        async () => null,
+        async ({id}) => ({id, type: 'first'}),
+        async ({id}) => ({id, type: 'second'})
+      ]
+    });
+    const key = await resolver({id});
+    key.type.should.equal('first');
+  });
+  it('should reject unsupported key types', async function() {
+    let err;
+    try {
+      keyResolver.createInlineKeyResolver({
+        keys: [{id, type: 'Ed25519VerificationKey2020', publicKeyMultibase}]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+});
@@ -29,3 +29,4 @@ config.tokenizer.kms.ipAllowList = ['127.0.0.1/32', '::1/128'];
 
 // enable testing extra pairwise token features
 config.tokenization.ensurePairwiseTokenValueIndex = true;
+config.tokenization.ensurePairwiseTokenRequesterIndex = true;